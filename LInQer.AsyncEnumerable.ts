@@ -0,0 +1,699 @@
+/// <reference path="./LInQer.Slim.ts" />
+/// <reference path="./LInQer.GroupEnumerable.ts" />
+/// <reference path="./LInQer.OrderedEnumerable.ts" />
+
+namespace Linqer {
+
+	/**
+	 * wrapper class over async iterable instances (paged clients, cursors, streams) that exposes the methods usually found in .NET LINQ
+	 * intermediate operations are lazy, terminal operations return promises
+	 *
+	 * @export
+	 * @class AsyncEnumerable
+	 * @template T the type of the items in the sequence
+	 * @implements {AsyncIterable<T>}
+	 */
+	export class AsyncEnumerable<T = any> implements AsyncIterable<T> {
+		_src: AsyncIterableType<T>;
+		_generator: () => AsyncIterator<T>;
+		// true if the enumerable was iterated at least once
+		_wasIterated: boolean;
+
+		/**
+		 * You should never use this. Instead use AsyncEnumerable.from
+		 * @param {AsyncIterableType<T>} src
+		 * @memberof AsyncEnumerable
+		 */
+		constructor(src: AsyncIterableType<T>) {
+			_ensureAsyncIterable(src);
+			this._src = src;
+			const asyncIteratorFunction: (() => AsyncIterator<T>) = (src as AsyncIterable<T>)[Symbol.asyncIterator];
+			// the generator is either the async iterator of the source,
+			// the async generator function that was provided as the source itself
+			// or an async generator iterating a synchronous source, including sync generator functions
+			if (asyncIteratorFunction) {
+				this._generator = asyncIteratorFunction.bind(src);
+			} else if (typeof src === 'function' && !_isGeneratorFunction(src)) {
+				this._generator = src as (() => AsyncIterator<T>);
+			} else {
+				const enumerable = Enumerable.from(src as IterableType<T>);
+				this._generator = async function* () {
+					for (const item of enumerable) {
+						yield item;
+					}
+				};
+			}
+			this._wasIterated = false;
+		}
+
+		/**
+		 * Wraps an async iterable, an async generator function or a synchronous iterable into an AsyncEnumerable if it's not already one
+		 *
+		 * @static
+		 * @param {AsyncIterableType<T>} iterable
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		static from<T>(iterable: AsyncIterableType<T>): AsyncEnumerable<T> {
+			if (iterable instanceof AsyncEnumerable) return iterable;
+			return new AsyncEnumerable<T>(iterable);
+		}
+
+		/**
+		 * the AsyncEnumerable instance exposes the same async iterator as the wrapped source
+		 *
+		 * @returns {AsyncIterator<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		[Symbol.asyncIterator](): AsyncIterator<T> {
+			this._wasIterated = true;
+			return this._generator();
+		}
+
+		/**
+		 * returns an empty AsyncEnumerable
+		 *
+		 * @static
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		static empty<T = any>(): AsyncEnumerable<T> {
+			return new AsyncEnumerable<T>([]);
+		}
+
+		/**
+		 * Applies an accumulator function over a sequence.
+		 * The aggregator can return a promise.
+		 *
+		 * @param {TAccumulate} accumulator
+		 * @param {(acc: TAccumulate, item: T) => (TAccumulate | Promise<TAccumulate>)} aggregator
+		 * @returns {Promise<TAccumulate>}
+		 * @memberof AsyncEnumerable
+		 */
+		async aggregate<TAccumulate>(accumulator: TAccumulate, aggregator: (acc: TAccumulate, item: T) => TAccumulate | Promise<TAccumulate>): Promise<TAccumulate> {
+			_ensureFunction(aggregator);
+			for await (const item of this) {
+				accumulator = await aggregator(accumulator, item);
+			}
+			return accumulator;
+		}
+
+		/**
+		 * Determines whether all elements of a sequence satisfy a condition.
+		 *
+		 * @param {IAsyncFilter<T>} condition
+		 * @returns {Promise<boolean>}
+		 * @memberof AsyncEnumerable
+		 */
+		async all(condition: IAsyncFilter<T>): Promise<boolean> {
+			_ensureFunction(condition);
+			let index = 0;
+			for await (const item of this) {
+				if (!await condition(item, index)) return false;
+				index++;
+			}
+			return true;
+		}
+
+		/**
+		 * Determines whether any element of a sequence exists or satisfies a condition.
+		 *
+		 * @param {IAsyncFilter<T>} [condition]
+		 * @returns {Promise<boolean>}
+		 * @memberof AsyncEnumerable
+		 */
+		async any(condition?: IAsyncFilter<T>): Promise<boolean> {
+			if (condition) {
+				_ensureFunction(condition);
+			} else {
+				condition = () => true;
+			}
+			let index = 0;
+			for await (const item of this) {
+				if (await condition(item, index)) return true;
+				index++;
+			}
+			return false;
+		}
+
+		/**
+		 * Concatenates two sequences by appending iterable to the existing one.
+		 *
+		 * @param {AsyncIterableType<T>} iterable
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		concat(iterable: AsyncIterableType<T>): AsyncEnumerable<T> {
+			_ensureAsyncIterable(iterable);
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				for await (const item of self) {
+					yield item;
+				}
+				for await (const item of AsyncEnumerable.from(iterable)) {
+					yield item;
+				}
+			};
+			return new AsyncEnumerable(gen);
+		}
+
+		/**
+		 * Returns the number of elements in a sequence.
+		 *
+		 * @returns {Promise<number>}
+		 * @memberof AsyncEnumerable
+		 */
+		async count(): Promise<number> {
+			let x = 0;
+			for await (const item of this) x++;
+			return x;
+		}
+
+		/**
+		 * Returns distinct elements from a sequence.
+		 * WARNING: using a comparer makes this slower. Not specifying it uses a Set to determine distinctiveness.
+		 *
+		 * @param {IEqualityComparer<T>} [equalityComparer=EqualityComparer.default]
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		distinct(equalityComparer: IEqualityComparer<T> = EqualityComparer.default): AsyncEnumerable<T> {
+			const self: AsyncEnumerable<T> = this;
+			// same algorithms as for Enumerable.distinct
+			const gen = equalityComparer === EqualityComparer.default
+				? async function* () {
+					const distinctValues = new Set();
+					for await (const item of self) {
+						const size = distinctValues.size;
+						distinctValues.add(item);
+						if (size < distinctValues.size) {
+							yield item;
+						}
+					}
+				}
+				: async function* () {
+					const values: T[] = [];
+					for await (const item of self) {
+						let unique = true;
+						for (let i = 0; i < values.length; i++) {
+							if (equalityComparer(item, values[i])) {
+								unique = false;
+								break;
+							}
+						}
+						if (unique) yield item;
+						values.push(item);
+					}
+				};
+			return new AsyncEnumerable(gen);
+		}
+
+		/**
+		 * Returns the element at a specified index in a sequence.
+		 *
+		 * @param {number} index
+		 * @returns {Promise<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		async elementAt(index: number): Promise<T> {
+			const result = await this._tryGetAt(index);
+			if (!result) throw new Error('Index out of range');
+			return result.value;
+		}
+
+		/**
+		 * Returns the element at a specified index in a sequence or undefined if the index is out of range.
+		 *
+		 * @param {number} index
+		 * @returns {Promise<T | undefined>}
+		 * @memberof AsyncEnumerable
+		 */
+		async elementAtOrDefault(index: number): Promise<T | undefined> {
+			const result = await this._tryGetAt(index);
+			if (!result) return undefined;
+			return result.value;
+		}
+
+		/**
+		 * Returns the first element of a sequence.
+		 *
+		 * @returns {Promise<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		async first(): Promise<T> {
+			const result = await this._tryGetAt(0);
+			if (!result) throw new Error('The enumeration is empty');
+			return result.value;
+		}
+
+		/**
+		 * Returns the first element of a sequence, or undefined if no element is found.
+		 *
+		 * @returns {Promise<T | undefined>}
+		 * @memberof AsyncEnumerable
+		 */
+		firstOrDefault(): Promise<T | undefined> {
+			return this.elementAtOrDefault(0);
+		}
+
+		/**
+		 * Groups the elements of a sequence. The key selector can return a promise.
+		 * The entire source is consumed before the first group is yielded.
+		 *
+		 * @param {IAsyncSelector<T, TKey>} keySelector
+		 * @returns {AsyncEnumerable<GroupEnumerable<TKey, T>>}
+		 * @memberof AsyncEnumerable
+		 */
+		groupBy<TKey>(keySelector: IAsyncSelector<T, TKey>): AsyncEnumerable<GroupEnumerable<TKey, T>> {
+			_ensureFunction(keySelector);
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				const groupMap = new Map<TKey, T[]>();
+				let index = 0;
+				for await (const item of self) {
+					const key = await keySelector(item, index);
+					const group = groupMap.get(key);
+					if (group) {
+						group.push(item);
+					} else {
+						groupMap.set(key, [item]);
+					}
+					index++;
+				}
+				for (const [key, items] of groupMap) {
+					yield new GroupEnumerable(items, key);
+				}
+			};
+			return new AsyncEnumerable(gen);
+		}
+
+		/**
+		 * Returns the last element of a sequence.
+		 *
+		 * @returns {Promise<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		async last(): Promise<T> {
+			let result: T | null = null;
+			let found = false;
+			for await (const item of this) {
+				result = item;
+				found = true;
+			}
+			if (found) return result!;
+			throw new Error('The enumeration is empty');
+		}
+
+		/**
+		 * Returns the last element of a sequence, or undefined if no element is found.
+		 *
+		 * @returns {Promise<T | undefined>}
+		 * @memberof AsyncEnumerable
+		 */
+		async lastOrDefault(): Promise<T | undefined> {
+			let result: T | undefined = undefined;
+			for await (const item of this) {
+				result = item;
+			}
+			return result;
+		}
+
+		/**
+		 * Sorts the elements of a sequence in ascending order. The key selector can return a promise.
+		 *
+		 * @param {IAsyncSelector<T, TKey>} [keySelector]
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {AsyncOrderedEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		orderBy<TKey = T>(keySelector?: IAsyncSelector<T, TKey> | null, comparer?: IComparer<TKey>): AsyncOrderedEnumerable<T> {
+			if (keySelector) {
+				_ensureFunction(keySelector);
+			} else {
+				keySelector = item => item as any;
+			}
+			if (comparer) _ensureFunction(comparer);
+			return new AsyncOrderedEnumerable(this, [{ keySelector: keySelector, ascending: true, comparer: comparer }]);
+		}
+
+		/**
+		 * Sorts the elements of a sequence in descending order. The key selector can return a promise.
+		 *
+		 * @param {IAsyncSelector<T, TKey>} [keySelector]
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {AsyncOrderedEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		orderByDescending<TKey = T>(keySelector?: IAsyncSelector<T, TKey> | null, comparer?: IComparer<TKey>): AsyncOrderedEnumerable<T> {
+			if (keySelector) {
+				_ensureFunction(keySelector);
+			} else {
+				keySelector = item => item as any;
+			}
+			if (comparer) _ensureFunction(comparer);
+			return new AsyncOrderedEnumerable(this, [{ keySelector: keySelector, ascending: false, comparer: comparer }]);
+		}
+
+		/**
+		 * Projects each element of a sequence into a new form. The selector can return a promise.
+		 *
+		 * @param {IAsyncSelector<T, TResult>} selector
+		 * @returns {AsyncEnumerable<TResult>}
+		 * @memberof AsyncEnumerable
+		 */
+		select<TResult>(selector: IAsyncSelector<T, TResult>): AsyncEnumerable<TResult> {
+			_ensureFunction(selector);
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				let index = 0;
+				for await (const item of self) {
+					yield await selector(item, index);
+					index++;
+				}
+			};
+			return new AsyncEnumerable(gen);
+		}
+
+		/**
+		 * Projects each element of a sequence to a sync or async iterable and flattens the resulting sequences into one sequence.
+		 * The selector can return a promise.
+		 *
+		 * @param {IAsyncSelector<T, AsyncIterableType<TResult>>} [selector]
+		 * @returns {AsyncEnumerable<TResult>}
+		 * @memberof AsyncEnumerable
+		 */
+		selectMany<TResult = any>(selector?: IAsyncSelector<T, AsyncIterableType<TResult>>): AsyncEnumerable<TResult> {
+			if (typeof selector !== 'undefined') {
+				_ensureFunction(selector);
+			} else {
+				selector = x => x as any;
+			}
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				let index = 0;
+				for await (const item of self) {
+					const iter = await selector!(item, index);
+					for await (const child of AsyncEnumerable.from(iter)) {
+						yield child;
+					}
+					index++;
+				}
+			};
+			return new AsyncEnumerable<TResult>(gen);
+		}
+
+		/**
+		 * Bypasses a specified number of elements in a sequence and then returns the remaining elements.
+		 *
+		 * @param {number} nr
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		skip(nr: number): AsyncEnumerable<T> {
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				let nrLeft = nr;
+				for await (const item of self) {
+					if (nrLeft > 0) {
+						nrLeft--;
+					} else {
+						yield item;
+					}
+				}
+			};
+			return new AsyncEnumerable(gen);
+		}
+
+		/**
+		 * Bypasses elements in a sequence as long as a specified condition is true and then returns the remaining elements.
+		 *
+		 * @param {IAsyncFilter<T>} condition
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		skipWhile(condition: IAsyncFilter<T>): AsyncEnumerable<T> {
+			_ensureFunction(condition);
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				let skip = true;
+				let index = 0;
+				for await (const item of self) {
+					if (skip && !await condition(item, index)) {
+						skip = false;
+					}
+					if (!skip) {
+						yield item;
+					}
+					index++;
+				}
+			};
+			return new AsyncEnumerable(gen);
+		}
+
+		/**
+		 * Returns a specified number of contiguous elements from the start of a sequence.
+		 * The source is not read beyond the last taken item.
+		 *
+		 * @param {number} nr
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		take(nr: number): AsyncEnumerable<T> {
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				let nrLeft = nr;
+				if (nrLeft <= 0) return;
+				for await (const item of self) {
+					yield item;
+					nrLeft--;
+					if (nrLeft <= 0) {
+						break;
+					}
+				}
+			};
+			return new AsyncEnumerable(gen);
+		}
+
+		/**
+		 * Returns elements from a sequence as long as a specified condition is true, and then skips the remaining elements.
+		 *
+		 * @param {IAsyncFilter<T>} condition
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		takeWhile(condition: IAsyncFilter<T>): AsyncEnumerable<T> {
+			_ensureFunction(condition);
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				let index = 0;
+				for await (const item of self) {
+					if (await condition(item, index)) {
+						yield item;
+					} else {
+						break;
+					}
+					index++;
+				}
+			};
+			return new AsyncEnumerable(gen);
+		}
+
+		/**
+		 * creates an array from an AsyncEnumerable
+		 *
+		 * @returns {Promise<T[]>}
+		 * @memberof AsyncEnumerable
+		 */
+		async toArray(): Promise<T[]> {
+			const arr: T[] = [];
+			for await (const item of this) {
+				arr.push(item);
+			}
+			return arr;
+		}
+
+		/**
+		 * creates a seekable synchronous Enumerable from an AsyncEnumerable
+		 *
+		 * @returns {Promise<Enumerable<T>>}
+		 * @memberof AsyncEnumerable
+		 */
+		async toList(): Promise<Enumerable<T>> {
+			return Enumerable.from(await this.toArray());
+		}
+
+		/**
+		 * creates a Map from an AsyncEnumerable. The selectors can return promises.
+		 *
+		 * @param {IAsyncSelector<T, TKey>} keySelector
+		 * @param {IAsyncSelector<T, TValue>} [valueSelector=x => x]
+		 * @returns {Promise<Map<TKey, TValue>>}
+		 * @memberof AsyncEnumerable
+		 */
+		async toMap<TKey, TValue = T>(keySelector: IAsyncSelector<T, TKey>, valueSelector: IAsyncSelector<T, TValue> = x => x as any): Promise<Map<TKey, TValue>> {
+			_ensureFunction(keySelector);
+			_ensureFunction(valueSelector);
+			const result = new Map<TKey, TValue>();
+			let index = 0;
+			for await (const item of this) {
+				result.set(await keySelector(item, index), await valueSelector(item, index));
+				index++;
+			}
+			return result;
+		}
+
+		/**
+		 * creates a Set from an AsyncEnumerable
+		 *
+		 * @returns {Promise<Set<T>>}
+		 * @memberof AsyncEnumerable
+		 */
+		async toSet(): Promise<Set<T>> {
+			const result = new Set<T>();
+			for await (const item of this) {
+				result.add(item);
+			}
+			return result;
+		}
+
+		/**
+		 * Filters a sequence of values based on a predicate. The predicate can return a promise.
+		 *
+		 * @param {IAsyncFilter<T>} condition
+		 * @returns {AsyncEnumerable<T>}
+		 * @memberof AsyncEnumerable
+		 */
+		where(condition: IAsyncFilter<T>): AsyncEnumerable<T> {
+			_ensureFunction(condition);
+			const self: AsyncEnumerable<T> = this;
+			const gen = async function* () {
+				let index = 0;
+				for await (const item of self) {
+					if (await condition(item, index)) {
+						yield item;
+					}
+					index++;
+				}
+			};
+			return new AsyncEnumerable(gen);
+		}
+
+		// iterate until the index is reached, then stop reading the source
+		private async _tryGetAt(index: number): Promise<{ value: T } | null> {
+			if (index < 0) return null;
+			let x = 0;
+			for await (const item of this) {
+				if (index === x) return { value: item };
+				x++;
+			}
+			return null;
+		}
+	}
+
+	/**
+	 * An AsyncEnumerable yielding ordered items
+	 * The entire source is consumed and all the keys are awaited before sorting with the synchronous OrderedEnumerable
+	 *
+	 * @export
+	 * @class AsyncOrderedEnumerable
+	 * @template T the type of the items in the sequence
+	 * @extends {AsyncEnumerable<T>}
+	 */
+	export class AsyncOrderedEnumerable<T = any> extends AsyncEnumerable<T> {
+		_keySelectors: { keySelector: IAsyncSelector<T>, ascending: boolean, comparer?: IComparer }[];
+
+		/**
+		 * Creates an instance of AsyncOrderedEnumerable.
+		 * @param {AsyncIterableType<T>} src
+		 * @param {{ keySelector: IAsyncSelector<T>, ascending: boolean, comparer?: IComparer }[]} keySelectors
+		 * @memberof AsyncOrderedEnumerable
+		 */
+		constructor(src: AsyncIterableType<T>, keySelectors: { keySelector: IAsyncSelector<T>, ascending: boolean, comparer?: IComparer }[]) {
+			super(src);
+			this._keySelectors = keySelectors;
+			const self: AsyncOrderedEnumerable<T> = this;
+			this._generator = async function* () {
+				const items = await AsyncEnumerable.from(self._src).toArray();
+				// compute every key once, so that async key selectors are only awaited outside of the sort
+				const keys: any[][] = [];
+				for (const { keySelector } of self._keySelectors) {
+					const arr = new Array(items.length);
+					for (let i = 0; i < items.length; i++) {
+						arr[i] = await keySelector(items[i], i);
+					}
+					keys.push(arr);
+				}
+				// then sort the indexes of the items using the synchronous ordering
+				let ordered: OrderedEnumerable<number> | null = null;
+				for (let k = 0; k < keys.length; k++) {
+					const arr = keys[k];
+					const { ascending, comparer } = self._keySelectors[k];
+					ordered = ordered
+						? (ascending ? ordered.thenBy(i => arr[i], comparer) : ordered.thenByDescending(i => arr[i], comparer))
+						: (ascending ? Enumerable.range(0, items.length).orderBy(i => arr[i], comparer) : Enumerable.range(0, items.length).orderByDescending(i => arr[i], comparer));
+				}
+				for (const index of ordered!) {
+					yield items[index];
+				}
+			};
+		}
+
+		/**
+		 * Performs a subsequent ordering of the elements in a sequence in ascending order.
+		 *
+		 * @param {IAsyncSelector<T, TKey>} keySelector
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {AsyncOrderedEnumerable<T>}
+		 * @memberof AsyncOrderedEnumerable
+		 */
+		thenBy<TKey = any>(keySelector: IAsyncSelector<T, TKey>, comparer?: IComparer<TKey>): AsyncOrderedEnumerable<T> {
+			_ensureFunction(keySelector);
+			if (comparer) _ensureFunction(comparer);
+			return new AsyncOrderedEnumerable(this._src, this._keySelectors.concat({ keySelector: keySelector, ascending: true, comparer: comparer }));
+		}
+
+		/**
+		 * Performs a subsequent ordering of the elements in a sequence in descending order.
+		 *
+		 * @param {IAsyncSelector<T, TKey>} keySelector
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {AsyncOrderedEnumerable<T>}
+		 * @memberof AsyncOrderedEnumerable
+		 */
+		thenByDescending<TKey = any>(keySelector: IAsyncSelector<T, TKey>, comparer?: IComparer<TKey>): AsyncOrderedEnumerable<T> {
+			_ensureFunction(keySelector);
+			if (comparer) _ensureFunction(comparer);
+			return new AsyncOrderedEnumerable(this._src, this._keySelectors.concat({ keySelector: keySelector, ascending: false, comparer: comparer }));
+		}
+	}
+
+	// sync generator functions are native when targeting ES6, so they can be recognized by their constructor
+	const _generatorFunctionConstructor = Object.getPrototypeOf(function* () { }).constructor;
+	function _isGeneratorFunction(src: any): boolean {
+		return src instanceof _generatorFunctionConstructor;
+	}
+
+	// throw if src is not an async iterable, a function or an iterable
+	// async generator functions cannot be recognized by their constructor name, as they are not native when transpiled for ES6
+	export function _ensureAsyncIterable(src: AsyncIterableType): void {
+		if (src) {
+			if ((src as AsyncIterable<any>)[Symbol.asyncIterator]) return;
+			if (typeof src === 'function') return;
+		}
+		_ensureIterable(src as IterableType);
+	}
+
+	/**
+	 * an extended async iterable type that also supports async generator functions and synchronous iterables
+	 */
+	export type AsyncIterableType<T = any> = AsyncIterable<T> | (() => AsyncIterator<T>) | AsyncEnumerable<T> | IterableType<T>;
+
+	/**
+	 * A selector function that can return a promise
+	 */
+	export type IAsyncSelector<T = any, TResult = any> = (item: T, index?: number) => TResult | Promise<TResult>;
+	/**
+	 * A filter function that can return a promise
+	 */
+	export type IAsyncFilter<T = any> = IAsyncSelector<T, boolean>;
+}
\ No newline at end of file
@@ -2,53 +2,56 @@
 
 namespace Linqer {
 
-	export interface Enumerable extends Iterable<any> {
+	export interface Enumerable<T = any> extends Iterable<T> {
 		/**
 		 * Applies an accumulator function over a sequence.
 		 * The specified seed value is used as the initial accumulator value, and the specified function is used to select the result value.
 		 *
-		 * @param {*} accumulator
-		 * @param {(acc: any, item: any) => any} aggregator
-		 * @returns {*}
+		 * @param {TAccumulate} accumulator
+		 * @param {(acc: TAccumulate, item: T) => TAccumulate} aggregator
+		 * @returns {TAccumulate}
 		 * @memberof Enumerable
 		 */
-		aggregate(accumulator: any, aggregator: (acc: any, item: any) => any): any;
+		aggregate<TAccumulate>(accumulator: TAccumulate, aggregator: (acc: TAccumulate, item: T) => TAccumulate): TAccumulate;
 		/**
 		 * Determines whether all elements of a sequence satisfy a condition.
 		 * @param condition 
 		 * @returns true if all 
 		 */
-		all(condition: IFilter): boolean;
+		all(condition: IFilter<T>): boolean;
 		/**
 		 * Determines whether any element of a sequence exists or satisfies a condition.
 		 *
-		 * @param {IFilter} condition
+		 * @param {IFilter<T>} [condition]
 		 * @returns {boolean}
 		 * @memberof Enumerable
 		 */
-		any(condition: IFilter): boolean;
+		any(condition?: IFilter<T>): boolean;
 		/**
 		 * Appends a value to the end of the sequence.
 		 *
-		 * @param {*} item
-		 * @returns {Enumerable}
+		 * @param {T} item
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		append(item: any): Enumerable;
+		append(item: T): Enumerable<T>;
 		/**
-		 * Computes the average of a sequence of numeric values.
+		 * Computes the average of a sequence of numeric values, optionally returned by a selector.
+		 * The average of BigInt values is a number.
 		 *
+		 * @param {ISelector<T, number | bigint>} [selector]
+		 * @param {ISumOptions} [options] compensated summation and what to do with values that are not numbers
 		 * @returns {(number | undefined)}
 		 * @memberof Enumerable
 		 */
-		average(): number | undefined;
+		average(selector?: ISelector<T, number | bigint> | null, options?: ISumOptions): number | undefined;
 		/**
 		 * Returns itself
 		 *
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		asEnumerable(): Enumerable;
+		asEnumerable(): Enumerable<T>;
 		/**
  		 * Checks the elements of a sequence based on their type
 		 *  If type is a string, it will check based on typeof, else it will use instanceof.
@@ -57,40 +60,91 @@ namespace Linqer {
 		 * @returns {Enumerable}
 		 * @memberof Enumerable
 		 */
+		cast<TResult>(type: new (...args: any[]) => TResult): Enumerable<TResult>;
+		cast<TName extends keyof ITypeOfMap>(type: TName): Enumerable<ITypeOfMap[TName]>;
 		cast(type: string | Function): Enumerable;
+		/**
+		 * Splits the elements of a sequence into arrays of at most size items
+		 * If the sequence can seek, so can the result: the count and any chunk are computed without iterating
+		 *
+		 * @param {number} size
+		 * @returns {Enumerable<T[]>}
+		 * @memberof Enumerable
+		 */
+		chunk(size: number): Enumerable<T[]>;
 		/**
 		 * Determines whether a sequence contains a specified element.
 		 * A custom function can be used to determine equality between elements.
 		 *
-		 * @param {*} item
-		 * @param {IEqualityComparer} equalityComparer
+		 * @param {T} item
+		 * @param {IEqualityComparer<T>} [equalityComparer]
 		 * @returns {boolean}
 		 * @memberof Enumerable
 		 */
-		contains(item: any, equalityComparer: IEqualityComparer): boolean;
+		contains(item: T, equalityComparer?: IEqualityComparer<T>): boolean;
 
-		defaultIfEmpty(): never;
+		/**
+		 * Returns the elements of a sequence or a sequence with a single default value if it is empty.
+		 * The default value is used as it is, even if it is a function, unless options.factory is set,
+		 * in which case it is a function called to create the default value.
+		 *
+		 * @param {(T | (() => T))} [defaultValue]
+		 * @param {IDefaultIfEmptyOptions} [options]
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		defaultIfEmpty(defaultValue?: T | (() => T), options?: IDefaultIfEmptyOptions): Enumerable<T>;
+		/**
+		 * Returns the elements of a sequence that have distinct keys, as returned by the key selector.
+		 * The first element for each key is kept. A Set is used to determine distinctiveness.
+		 *
+		 * @template TKey
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		distinctBy<TKey>(keySelector: ISelector<T, TKey>): Enumerable<T>;
 
 		/**
 		 * Produces the set difference of two sequences
 		 * WARNING: using the comparer is slower
 		 *
-		 * @param {IterableType} iterable
-		 * @param {IEqualityComparer} equalityComparer
-		 * @returns {Enumerable}
+		 * @param {IterableType<T>} iterable
+		 * @param {IEqualityComparer<T>} [equalityComparer]
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		except(iterable: IterableType, equalityComparer: IEqualityComparer): Enumerable;
+		except(iterable: IterableType<T>, equalityComparer?: IEqualityComparer<T>): Enumerable<T>;
+		/**
+		 * Produces the set difference of two sequences based on keys: returns the elements whose key, as returned by the key selector, is not in the keys sequence
+		 *
+		 * @template TKey
+		 * @param {IterableType<TKey>} keys
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		exceptBy<TKey>(keys: IterableType<TKey>, keySelector: ISelector<T, TKey>): Enumerable<T>;
 		/**
 		 * Produces the set intersection of two sequences.
 		 * WARNING: using a comparer is slower
 		 *
-		 * @param {IterableType} iterable
-		 * @param {IEqualityComparer} equalityComparer
-		 * @returns {Enumerable}
+		 * @param {IterableType<T>} iterable
+		 * @param {IEqualityComparer<T>} [equalityComparer]
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		intersect(iterable: IterableType, equalityComparer: IEqualityComparer): Enumerable;
+		intersect(iterable: IterableType<T>, equalityComparer?: IEqualityComparer<T>): Enumerable<T>;
+		/**
+		 * Produces the set intersection of two sequences based on keys: returns the elements whose key, as returned by the key selector, is in the keys sequence
+		 *
+		 * @template TKey
+		 * @param {IterableType<TKey>} keys
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		intersectBy<TKey>(keys: IterableType<TKey>, keySelector: ISelector<T, TKey>): Enumerable<T>;
 		/**
 		 * Same as count
 		 *
@@ -98,77 +152,128 @@ namespace Linqer {
 		 * @memberof Enumerable
 		 */
 		longCount(): number;
+		/**
+		 * Returns the element with the maximum key, as returned by the key selector, or undefined if the sequence is empty.
+		 * The first such element is returned when several have the same key.
+		 *
+		 * @template TKey
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {IComparer<TKey>} [comparer]
+		 * @returns {(T | undefined)}
+		 * @memberof Enumerable
+		 */
+		maxBy<TKey>(keySelector: ISelector<T, TKey>, comparer?: IComparer<TKey>): T | undefined;
+		/**
+		 * Returns an enumerable that caches the items of this one as they are first iterated.
+		 * Later or concurrent iterations replay the cached items, then continue to pull items from the source.
+		 * Once the source is fully consumed, the result can seek and count without iterating.
+		 * When the last active iteration stops early, or a seek is done with no active iteration, the source iterator is closed
+		 * and, if more items are needed later, the source is iterated again, skipping the cached items
+		 *
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		memoize(): Enumerable<T>;
+		/**
+		 * Returns the element with the minimum key, as returned by the key selector, or undefined if the sequence is empty.
+		 * The first such element is returned when several have the same key.
+		 *
+		 * @template TKey
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {IComparer<TKey>} [comparer]
+		 * @returns {(T | undefined)}
+		 * @memberof Enumerable
+		 */
+		minBy<TKey>(keySelector: ISelector<T, TKey>, comparer?: IComparer<TKey>): T | undefined;
 		/**
 		 * Filters the elements of a sequence based on their type
 		 * If type is a string, it will filter based on typeof, else it will use instanceof
+		 * The element type of the result is narrowed to the given class or typeof name
 		 *
 		 * @param {(string | Function)} type
 		 * @returns {Enumerable}
 		 * @memberof Enumerable
 		 */
+		ofType<TResult>(type: new (...args: any[]) => TResult): Enumerable<TResult>;
+		ofType<TName extends keyof ITypeOfMap>(type: TName): Enumerable<ITypeOfMap[TName]>;
 		ofType(type: string | Function): Enumerable;
 		/**
 		 * Adds a value to the beginning of the sequence.
 		 *
-		 * @param {*} item
-		 * @returns {Enumerable}
+		 * @param {T} item
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		prepend(item: any): Enumerable;
+		prepend(item: T): Enumerable<T>;
 		/**
 		 * Inverts the order of the elements in a sequence.
 		 *
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		reverse(): Enumerable;
+		reverse(): Enumerable<T>;
 		/**
 		 * Projects each element of a sequence to an iterable and flattens the resulting sequences into one sequence.
+		 * Without a selector, the items of the sequence are flattened themselves.
 		 *
-		 * @param {ISelector<IterableType>} selector
-		 * @returns {Enumerable}
+		 * @param {ISelector<T, IterableType<TResult>>} [selector]
+		 * @returns {Enumerable<TResult>}
 		 * @memberof Enumerable
 		 */
-		selectMany(selector: ISelector<IterableType>): Enumerable;
+		selectMany<TResult>(selector: ISelector<T, IterableType<TResult>>): Enumerable<TResult>;
+		selectMany(): Enumerable<T extends IterableType<infer TItem> ? TItem : any>;
 		/**
 		 * Determines whether two sequences are equal and in the same order according to an optional equality comparer.
 		 *
-		 * @param {IterableType} iterable
-		 * @param {IEqualityComparer} equalityComparer
+		 * @param {IterableType<T>} iterable
+		 * @param {IEqualityComparer<T>} [equalityComparer]
 		 * @returns {boolean}
 		 * @memberof Enumerable
 		 */
-		sequenceEqual(iterable: IterableType, equalityComparer: IEqualityComparer): boolean;
+		sequenceEqual(iterable: IterableType<T>, equalityComparer?: IEqualityComparer<T>): boolean;
 		/**
-		 * Returns the single element of a sequence and throws if it doesn't have exactly one
+		 * Same as memoize
 		 *
-		 * @returns {*}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		single(): any;
+		share(): Enumerable<T>;
 		/**
-		 * Returns the single element of a sequence or undefined if none found. It throws if the sequence contains multiple items.
+		 * Returns the single element of a sequence (that satisfies the condition, if provided) and throws if there isn't exactly one
 		 *
-		 * @returns {(any | undefined)}
+		 * @param {IFilter<T>} [condition]
+		 * @returns {T}
 		 * @memberof Enumerable
 		 */
-		singleOrDefault(): any | undefined;
+		single(condition?: IFilter<T>): T;
+		/**
+		 * Returns the single element of a sequence (that satisfies the condition, if provided) or a default value if none found.
+		 * It throws if the sequence contains multiple such items.
+		 *
+		 * @param {IFilter<T>} [condition]
+		 * @param {T} [defaultValue] the value returned when no element is found, undefined if not specified
+		 * @returns {(T | undefined)}
+		 * @memberof Enumerable
+		 */
+		singleOrDefault(): T | undefined;
+		singleOrDefault(condition: IFilter<T> | null | undefined): T | undefined;
+		singleOrDefault(condition: IFilter<T> | null | undefined, defaultValue: T): T;
 		/**
 		 * Returns a new enumerable collection that contains the elements from source with the last nr elements of the source collection omitted.
 		 *
 		 * @param {number} nr
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		skipLast(nr: number): Enumerable;
+		skipLast(nr: number): Enumerable<T>;
 		/**
 		 * Bypasses elements in a sequence as long as a specified condition is true and then returns the remaining elements.
 		 *
-		 * @param {IFilter} condition
-		 * @returns {Enumerable}
+		 * @param {IFilter<T>} condition
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		skipWhile(condition: IFilter): Enumerable;
+		skipWhile(condition: IFilter<T>): Enumerable<T>;
 
 		/**
 		 * Selects the elements starting at the given start argument, and ends at, but does not include, the given end argument.
@@ -176,75 +281,157 @@ namespace Linqer {
 		 * @param end 
 		 * @returns slice 
 		 */
-		slice(start: number | undefined, end: number | undefined) : Enumerable;
+		slice(start?: number, end?: number) : Enumerable<T>;
 
 		/**
 		 * Returns a new enumerable collection that contains the last nr elements from source.
 		 *
 		 * @param {number} nr
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		takeLast(nr: number): Enumerable;
+		takeLast(nr: number): Enumerable<T>;
 		/**
 		 * Returns elements from a sequence as long as a specified condition is true, and then skips the remaining elements.
 		 *
-		 * @param {IFilter} condition
-		 * @returns {Enumerable}
+		 * @param {IFilter<T>} condition
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		takeWhile(condition: IFilter<T>): Enumerable<T>;
+		/**
+		 * creates a Map from an Enumerable, throwing an error naming the key if two items have the same key
+		 * the behavior for duplicate keys can be changed with the duplicates option
+		 *
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {ISelector<T, TValue>} [valueSelector]
+		 * @param {IDictionaryOptions<TKey, TValue>} [options]
+		 * @returns {Map<TKey, TValue>}
 		 * @memberof Enumerable
 		 */
-		takeWhile(condition: IFilter): Enumerable;
-		toDictionary(): never;
+		toDictionary<TKey, TValue = T>(keySelector: ISelector<T, TKey>, valueSelector: ISelector<T, TValue> | undefined, options: { duplicates: 'collect' }): Map<TKey, TValue[]>;
+		toDictionary<TKey, TValue = T>(keySelector: ISelector<T, TKey>, valueSelector?: ISelector<T, TValue>, options?: IDictionaryOptions<TKey, TValue>): Map<TKey, TValue>;
 		/**
 		 * creates a Map from an Enumerable
+		 * by default the last value for a key is kept, use the duplicates option to change it
 		 *
-		 * @param {ISelector} keySelector
-		 * @param {ISelector} valueSelector
-		 * @returns {Map<any, any>}
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {ISelector<T, TValue>} [valueSelector]
+		 * @param {IDictionaryOptions<TKey, TValue>} [options]
+		 * @returns {Map<TKey, TValue>}
 		 * @memberof Enumerable
 		 */
-		toMap(keySelector: ISelector, valueSelector: ISelector): Map<any, any>;
+		toMap<TKey, TValue = T>(keySelector: ISelector<T, TKey>, valueSelector: ISelector<T, TValue> | undefined, options: { duplicates: 'collect' }): Map<TKey, TValue[]>;
+		toMap<TKey, TValue = T>(keySelector: ISelector<T, TKey>, valueSelector?: ISelector<T, TValue>, options?: IDictionaryOptions<TKey, TValue>): Map<TKey, TValue>;
 		/**
 		 * creates an object from an Enumerable
+		 * by default the last value for a key is kept, use the duplicates option to change it
 		 *
-		 * @param {ISelector} keySelector
-		 * @param {ISelector} valueSelector
-		 * @returns {{ [key: string]: any }}
+		 * @param {ISelector<T>} keySelector
+		 * @param {ISelector<T, TValue>} [valueSelector]
+		 * @param {IDictionaryOptions<string, TValue>} [options]
+		 * @returns {{ [key: string]: TValue }}
 		 * @memberof Enumerable
 		 */
-		toObject(keySelector: ISelector, valueSelector: ISelector): { [key: string]: any };
-		toHashSet(): never;
+		toObject<TValue = T>(keySelector: ISelector<T>, valueSelector: ISelector<T, TValue> | undefined, options: { duplicates: 'collect' }): { [key: string]: TValue[] };
+		toObject<TValue = T>(keySelector: ISelector<T>, valueSelector?: ISelector<T, TValue>, options?: IDictionaryOptions<string, TValue>): { [key: string]: TValue };
+		/**
+		 * creates a HashSet from an enumerable, a set that determines the identity of items by a hashing function or an equality comparer
+		 * WARNING: using an equality comparer is slower
+		 *
+		 * @param {IHashSetOptions<T>} [options] either the hashing function or the equality comparer
+		 * @returns {HashSet<T>}
+		 * @memberof Enumerable
+		 */
+		toHashSet(options?: IHashSetOptions<T>): HashSet<T>;
 		/**
 		 * creates a Set from an enumerable
 		 *
-		 * @returns {Set<any>}
+		 * @returns {Set<T>}
 		 * @memberof Enumerable
 		 */
-		toSet(): Set<any>;
+		toSet(): Set<T>;
 		/**
 		 * Produces the set union of two sequences.
 		 *
-		 * @param {IterableType} iterable
-		 * @param {IEqualityComparer} equalityComparer
-		 * @returns {Enumerable}
+		 * @param {IterableType<T>} iterable
+		 * @param {IEqualityComparer<T>} [equalityComparer]
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		union(iterable: IterableType<T>, equalityComparer?: IEqualityComparer<T>): Enumerable<T>;
+		/**
+		 * Produces the set union of two sequences based on keys: returns the elements of both sequences that have distinct keys, as returned by the key selector
+		 *
+		 * @template TKey
+		 * @param {IterableType<T>} iterable
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		union(iterable: IterableType, equalityComparer: IEqualityComparer): Enumerable;
+		unionBy<TKey>(iterable: IterableType<T>, keySelector: ISelector<T, TKey>): Enumerable<T>;
 		/**
 		 * Applies a specified function to the corresponding elements of two sequences, producing a sequence of the results.
+		 * Without a zipper function, the result is a sequence of [item1, item2] pairs
 		 *
-		 * @param {IterableType} iterable
-		 * @param {(item1: any, item2: any, index: number) => any} zipper
-		 * @returns {*}
+		 * @param {IterableType<TOther>} iterable
+		 * @param {(item1: T, item2: TOther, index: number) => TResult} [zipper]
+		 * @returns {Enumerable<TResult>}
 		 * @memberof Enumerable
 		 */
-		zip(iterable: IterableType, zipper: (item1: any, item2: any, index: number) => any): any;
+		zip<TOther, TResult = [T, TOther]>(iterable: IterableType<TOther>, zipper?: (item1: T, item2: TOther, index: number) => TResult): Enumerable<TResult>;
 
 	}
 
+	/**
+	 * Maps the names returned by typeof to the corresponding types, used to narrow the results of ofType and cast
+	 */
+	export interface ITypeOfMap {
+		string: string;
+		number: number;
+		boolean: boolean;
+		bigint: bigint;
+		symbol: symbol;
+		undefined: undefined;
+		object: object | null;
+		function: Function;
+	}
+
+	/**
+	 * What to do when toDictionary, toMap or toObject find a key that was already added:
+	 * throw an error, keep the first value, keep the last value, collect all values into arrays
+	 * or merge the existing value with the new one using a function
+	 */
+	export type DuplicateKeyPolicy<TKey = any, TValue = any> = 'throw' | 'keepFirst' | 'keepLast' | 'collect' | ((existing: TValue, value: TValue, key: TKey) => TValue);
+
+	/**
+	 * Options for toDictionary, toMap and toObject
+	 */
+	export interface IDictionaryOptions<TKey = any, TValue = any> {
+		duplicates?: DuplicateKeyPolicy<TKey, TValue>;
+	}
+
+	/**
+	 * Options for HashSet and toHashSet: the identity of items is determined by either a hashing function or an equality comparer
+	 */
+	export interface IHashSetOptions<T = any> {
+		// items with the same hash are the same item
+		hash?: ISelector<T>;
+		// WARNING: slower, as every operation compares the item with all the items in the set
+		equals?: IEqualityComparer<T>;
+	}
+
+	/**
+	 * Options for defaultIfEmpty
+	 */
+	export interface IDefaultIfEmptyOptions {
+		// the default value is a function to call to create it
+		factory?: boolean;
+	}
+
 	/// Applies an accumulator function over a sequence.
 	/// The specified seed value is used as the initial accumulator value, and the specified function is used to select the result value.
-	Enumerable.prototype.aggregate = function (accumulator: any, aggregator: (acc: any, item: any) => any): any {
+	Enumerable.prototype.aggregate = function <TAccumulate>(accumulator: TAccumulate, aggregator: (acc: TAccumulate, item: any) => TAccumulate): TAccumulate {
 		_ensureFunction(aggregator);
 		for (const item of this) {
 			accumulator = aggregator(accumulator, item);
@@ -259,7 +446,14 @@ namespace Linqer {
 	}
 
 	/// Determines whether any element of a sequence exists or satisfies a condition.
-	Enumerable.prototype.any = function (condition: IFilter): boolean {
+	Enumerable.prototype.any = function (condition?: IFilter): boolean {
+		if (!condition) {
+			// no need to iterate if the enumerable can seek
+			_ensureInternalTryGetAt(this);
+			if (this._canSeek) return this.count() > 0;
+			for (const item of this) return true;
+			return false;
+		}
 		_ensureFunction(condition);
 		let index = 0;
 		for (const item of this) {
@@ -271,15 +465,15 @@ namespace Linqer {
 
 	/// Appends a value to the end of the sequence.
 	Enumerable.prototype.append = function (item: any): Enumerable {
-		return this.concat([item]);
+		return _setOperator(this.concat([item]), 'append', this, [item]);
 	}
 
 	/// Computes the average of a sequence of numeric values.
-	Enumerable.prototype.average = function (): number | undefined {
-		const stats = this.sumAndCount();
+	Enumerable.prototype.average = function (selector?: ISelector | null, options?: ISumOptions): number | undefined {
+		const stats = this.sumAndCount(selector, options);
 		return stats.count === 0
 			? undefined
-			: stats.sum / stats.count;
+			: Number(stats.sum) / stats.count;
 	}
 
 	/// Returns the same enumerable
@@ -294,10 +488,49 @@ namespace Linqer {
 		const f: ((x: any) => boolean) = typeof type === 'string'
 			? x => typeof x === type
 			: x => x instanceof type;
-		return this.select(item => {
+		const result = this.select(item => {
 			if (!f(item)) throw new Error(item + ' not of type ' + type);
 			return item;
 		});
+		return _setOperator(result, 'cast', this, [type]);
+	}
+
+	/// Splits the elements of a sequence into arrays of at most size items
+	Enumerable.prototype.chunk = function (size: number): Enumerable {
+		if (!(size >= 1)) {
+			throw new Error('size has to be at least 1');
+		}
+		size = Math.floor(size);
+		const self: Enumerable = this;
+		const gen = function* () {
+			let chunk: any[] = [];
+			for (const item of self) {
+				chunk.push(item);
+				if (chunk.length === size) {
+					yield chunk;
+					chunk = [];
+				}
+			}
+			if (chunk.length) yield chunk;
+		};
+		const result = new Enumerable(gen);
+		// the count and the chunks can be computed directly if the source can seek
+		_ensureInternalTryGetAt(this);
+		if (this._canSeek) {
+			result._canSeek = true;
+			result._count = () => Math.ceil(self.count() / size);
+			result._tryGetAt = index => {
+				const start = index * size;
+				if (index < 0 || start >= self.count()) return null;
+				const end = Math.min(start + size, self.count());
+				const chunk: any[] = [];
+				for (let i = start; i < end; i++) {
+					chunk.push(self._tryGetAt!(i)!.value);
+				}
+				return { value: chunk };
+			};
+		}
+		return _setOperator(result, 'chunk', this, [size]);
 	}
 
 	/// Determines whether a sequence contains a specified element.
@@ -307,8 +540,61 @@ namespace Linqer {
 		return this.any(x => equalityComparer(x, item));
 	}
 
-	Enumerable.prototype.defaultIfEmpty = function (): never {
-		throw new Error('defaultIfEmpty not implemented for Javascript');
+	/// Returns the elements of a sequence or a sequence with a single default value if it is empty.
+	/// The default value can be given as a value or, with the factory option, as a function returning it.
+	Enumerable.prototype.defaultIfEmpty = function (defaultValue?: any | (() => any), options?: IDefaultIfEmptyOptions): Enumerable {
+		if (options && options.factory) _ensureFunction(defaultValue);
+		const defaultFunc: () => any = options && options.factory
+			? defaultValue
+			: () => defaultValue;
+		const self: Enumerable = this;
+		// the generator yields the original items
+		// and the default value only if none were yielded
+		const gen = function* () {
+			let empty = true;
+			for (const item of self) {
+				empty = false;
+				yield item;
+			}
+			if (empty) {
+				yield defaultFunc();
+			}
+		};
+		const result = new Enumerable(gen);
+		// the count is the original count, but at least 1
+		result._count = () => Math.max(1, self.count());
+		_ensureInternalTryGetAt(this);
+		result._canSeek = self._canSeek;
+		// the indexer is the original one, with the default value at index 0 of an empty enumerable
+		if (self._canSeek) {
+			result._tryGetAt = index => {
+				const val = self._tryGetAt!(index);
+				if (val) return val;
+				if (index === 0 && self.count() === 0) {
+					return { value: defaultFunc() };
+				}
+				return null;
+			};
+		}
+		return _setOperator(result, 'defaultIfEmpty', this, [defaultValue, options]);
+	}
+
+	/// Returns the elements of a sequence that have distinct keys. The first element for each key is kept
+	Enumerable.prototype.distinctBy = function (keySelector: ISelector): Enumerable {
+		_ensureFunction(keySelector);
+		const self: Enumerable = this;
+		const gen = function* () {
+			const distinctKeys = new Set();
+			let index = 0;
+			for (const item of self) {
+				const size = distinctKeys.size;
+				distinctKeys.add(keySelector(item, index++));
+				if (size < distinctKeys.size) {
+					yield item;
+				}
+			}
+		};
+		return _setOperator(new Enumerable(gen), 'distinctBy', this, [keySelector]);
 	}
 
 	/// Produces the set difference of two sequences WARNING: using the comparer is slower
@@ -337,7 +623,25 @@ namespace Linqer {
 					if (unique) yield item;
 				}
 			};
-		return new Enumerable(gen);
+		return _setOperator(new Enumerable(gen), 'except', this, [iterable, equalityComparer], [],
+			equalityComparer === EqualityComparer.default
+				? undefined
+				: 'O(n*m): each item is compared with all the items of the other sequence. Use exceptBy or exceptByHash instead');
+	}
+
+	/// Produces the set difference of two sequences based on keys
+	Enumerable.prototype.exceptBy = function (keys: IterableType, keySelector: ISelector): Enumerable {
+		_ensureIterable(keys);
+		_ensureFunction(keySelector);
+		const self: Enumerable = this;
+		const gen = function* () {
+			const distinctKeys = Enumerable.from(keys).toSet();
+			let index = 0;
+			for (const item of self) {
+				if (!distinctKeys.has(keySelector(item, index++))) yield item;
+			}
+		};
+		return _setOperator(new Enumerable(gen), 'exceptBy', this, [keys, keySelector]);
 	}
 
 	/// Produces the set intersection of two sequences. WARNING: using a comparer is slower
@@ -366,7 +670,25 @@ namespace Linqer {
 					if (!unique) yield item;
 				}
 			};
-		return new Enumerable(gen);
+		return _setOperator(new Enumerable(gen), 'intersect', this, [iterable, equalityComparer], [],
+			equalityComparer === EqualityComparer.default
+				? undefined
+				: 'O(n*m): each item is compared with all the items of the other sequence. Use intersectBy or intersectByHash instead');
+	}
+
+	/// Produces the set intersection of two sequences based on keys
+	Enumerable.prototype.intersectBy = function (keys: IterableType, keySelector: ISelector): Enumerable {
+		_ensureIterable(keys);
+		_ensureFunction(keySelector);
+		const self: Enumerable = this;
+		const gen = function* () {
+			const distinctKeys = Enumerable.from(keys).toSet();
+			let index = 0;
+			for (const item of self) {
+				if (distinctKeys.has(keySelector(item, index++))) yield item;
+			}
+		};
+		return _setOperator(new Enumerable(gen), 'intersectBy', this, [keys, keySelector]);
 	}
 
 	/// same as count
@@ -374,6 +696,114 @@ namespace Linqer {
 		return this.count();
 	}
 
+	/// Returns the element with the maximum key or undefined if the sequence is empty
+	Enumerable.prototype.maxBy = function (keySelector: ISelector, comparer?: IComparer): any | undefined {
+		return _extremeBy(this, keySelector, comparer, 1);
+	}
+
+	/// Returns an enumerable that caches the items of this one as they are first iterated
+	Enumerable.prototype.memoize = function (): Enumerable {
+		const self: Enumerable = this;
+		const buffer: any[] = [];
+		let iterator: Iterator<any> | null = null;
+		let done = false;
+		// the number of iterations that have started and not ended yet
+		let active = 0;
+		const finish = (): boolean => {
+			done = true;
+			iterator = null;
+			// all the items are buffered, so it can seek from now on
+			result._canSeek = true;
+			return false;
+		};
+		// pulls the next item of the source into the buffer, returns false if the source has no more items
+		const pull = (): boolean => {
+			if (done) return false;
+			if (!iterator) {
+				iterator = self[Symbol.iterator]();
+				// the source iterator was closed before, so skip the items that are already buffered
+				for (let i = 0; i < buffer.length; i++) {
+					if (iterator.next().done) return finish();
+				}
+			}
+			const val = iterator.next();
+			if (val.done) return finish();
+			buffer.push(val.value);
+			return true;
+		};
+		// closes the source iterator when no iteration is using it, so the source can release its resources
+		const release = (): void => {
+			if (!done && !active && iterator) {
+				_closeIterator(iterator);
+				iterator = null;
+			}
+		};
+		// the generator yields the buffered items, then pulls new ones from the source
+		// all iterations share the same buffer and source iterator,
+		// which is closed when the last active iteration stops early
+		const gen = function* () {
+			let index = 0;
+			active++;
+			try {
+				while (index < buffer.length || pull()) {
+					yield buffer[index];
+					index++;
+				}
+			} finally {
+				active--;
+				release();
+			}
+		};
+		const result = new Enumerable(gen);
+		// the count is the one of the source if it can seek, otherwise the source is consumed into the buffer
+		result._count = () => {
+			if (!done) {
+				_ensureInternalTryGetAt(self);
+				if (self._canSeek) return self.count();
+				while (pull());
+				release();
+			}
+			return buffer.length;
+		};
+		// the indexer pulls items from the source until the index is buffered,
+		// then closes it if no iteration is using it
+		result._tryGetAt = index => {
+			while (index >= buffer.length && pull());
+			release();
+			if (index >= 0 && index < buffer.length) return { value: buffer[index] };
+			return null;
+		};
+		return _setOperator(result, 'memoize', this, []);
+	}
+
+	/// Returns the element with the minimum key or undefined if the sequence is empty
+	Enumerable.prototype.minBy = function (keySelector: ISelector, comparer?: IComparer): any | undefined {
+		return _extremeBy(this, keySelector, comparer, -1);
+	}
+
+	// returns the first item with the extreme key: the maximum for direction 1, the minimum for direction -1
+	// the key selector is called only once per item
+	function _extremeBy(enumerable: Enumerable, keySelector: ISelector, comparer: IComparer | undefined, direction: number): any | undefined {
+		_ensureFunction(keySelector);
+		if (comparer) {
+			_ensureFunction(comparer);
+		} else {
+			comparer = _defaultComparer;
+		}
+		let result: any = undefined;
+		let resultKey: any = undefined;
+		let index = 0;
+		for (const item of enumerable) {
+			const key = keySelector(item, index);
+			if (index === 0 || comparer(key, resultKey) * direction > 0) {
+				result = item;
+				resultKey = key;
+			}
+			index++;
+		}
+		return result;
+	}
+
 	/// Filters the elements of a sequence based on their type
 	/// If type is a string, it will filter based on typeof, else it will use instanceof
 	Enumerable.prototype.ofType = function (type: string | Function): Enumerable {
@@ -381,12 +811,12 @@ namespace Linqer {
 			typeof type === 'string'
 				? x => typeof x === type
 				: x => x instanceof type;
-		return this.where(condition);
+		return _setOperator(this.where(condition), 'ofType', this, [type]);
 	}
 
 	/// Adds a value to the beginning of the sequence.
 	Enumerable.prototype.prepend = function (item: any): Enumerable {
-		return new Enumerable([item]).concat(this);
+		return _setOperator(new Enumerable([item]).concat(this), 'prepend', this, [item]);
 	}
 
 	/// Inverts the order of the elements in a sequence.
@@ -419,11 +849,11 @@ namespace Linqer {
 			result._canSeek = true;
 			result._tryGetAt = index => self._tryGetAt!(self.count() - index - 1);
 		}
-		return result;
+		return _setOperator(result, 'reverse', this, []);
 	}
 
 	/// Projects each element of a sequence to an iterable and flattens the resulting sequences into one sequence.
-	Enumerable.prototype.selectMany = function (selector: ISelector<IterableType>): Enumerable {
+	Enumerable.prototype.selectMany = function (selector?: ISelector<any, IterableType>): Enumerable {
 		if (typeof selector !== 'undefined') {
 			_ensureFunction(selector);
 		} else {
@@ -433,7 +863,7 @@ namespace Linqer {
 		const gen = function* () {
 			let index = 0;
 			for (const item of self) {
-				const iter = selector(item, index);
+				const iter = selector!(item, index);
 				_ensureIterable(iter);
 				for (const child of iter) {
 					yield child;
@@ -441,7 +871,7 @@ namespace Linqer {
 				index++;
 			}
 		};
-		return new Enumerable(gen);
+		return _setOperator(new Enumerable(gen), 'selectMany', this, [selector]);
 	}
 
 	/// Determines whether two sequences are equal and in the same order according to an equality comparer.
@@ -450,36 +880,57 @@ namespace Linqer {
 		_ensureFunction(equalityComparer);
 		const iterator1 = this[Symbol.iterator]();
 		const iterator2 = Enumerable.from(iterable)[Symbol.iterator]();
-		let done = false;
-		do {
-			const val1 = iterator1.next();
-			const val2 = iterator2.next();
-			const equal = (val1.done && val2.done) || (!val1.done && !val2.done && equalityComparer(val1.value, val2.value));
-			if (!equal) return false;
-			done = !!val1.done;
-		} while (!done);
-		return true;
-	}
-
-	/// Returns the single element of a sequence and throws if it doesn't have exactly one
-	Enumerable.prototype.single = function (): any {
-		const iterator = this[Symbol.iterator]();
+		let done1 = false;
+		let done2 = false;
+		try {
+			do {
+				const val1 = iterator1.next();
+				done1 = !!val1.done;
+				const val2 = iterator2.next();
+				done2 = !!val2.done;
+				const equal = (val1.done && val2.done) || (!val1.done && !val2.done && equalityComparer(val1.value, val2.value));
+				if (!equal) return false;
+			} while (!done1);
+			return true;
+		} finally {
+			// iterators that were not iterated to the end are closed
+			if (!done1) _closeIterator(iterator1);
+			if (!done2) _closeIterator(iterator2);
+		}
+	}
+
+	/// Same as memoize
+	Enumerable.prototype.share = function (): Enumerable {
+		return this.memoize();
+	}
+
+	/// Returns the single element of a sequence (that satisfies the condition, if provided) and throws if there isn't exactly one
+	Enumerable.prototype.single = function (condition?: IFilter): any {
+		const enumerable: Enumerable = condition ? this.where(condition) : this;
+		const iterator = enumerable[Symbol.iterator]();
 		let val = iterator.next();
-		if (val.done) throw new Error('Sequence contains no elements');
+		if (val.done) throw new Error(condition ? 'Sequence contains no matching element' : 'Sequence contains no elements');
 		const result = val.value;
 		val = iterator.next();
-		if (!val.done) throw new Error('Sequence contains more than one element');
+		if (!val.done) {
+			_closeIterator(iterator);
+			throw new Error(condition ? 'Sequence contains more than one matching element' : 'Sequence contains more than one element');
+		}
 		return result;
 	}
 
-	/// Returns the single element of a sequence or undefined if none found. It throws if the sequence contains multiple items.
-	Enumerable.prototype.singleOrDefault = function (): any | undefined {
-		const iterator = this[Symbol.iterator]();
+	/// Returns the single element of a sequence (that satisfies the condition, if provided) or a default value if none found. It throws if the sequence contains multiple such items.
+	Enumerable.prototype.singleOrDefault = function (condition?: IFilter | null, defaultValue?: any): any | undefined {
+		const enumerable: Enumerable = condition ? this.where(condition) : this;
+		const iterator = enumerable[Symbol.iterator]();
 		let val = iterator.next();
-		if (val.done) return undefined;
+		if (val.done) return defaultValue;
 		const result = val.value;
 		val = iterator.next();
-		if (!val.done) throw new Error('Sequence contains more than one element');
+		if (!val.done) {
+			_closeIterator(iterator);
+			throw new Error(condition ? 'Sequence contains more than one matching element' : 'Sequence contains more than one element');
+		}
 		return result;
 	}
 
@@ -545,7 +996,7 @@ namespace Linqer {
 				return self._tryGetAt!(index);
 			}
 		}
-		return result;
+		return _setOperator(result, 'skipLast', this, [nr]);
 	}
 
 
@@ -566,7 +1017,7 @@ namespace Linqer {
 				index++;
 			}
 		};
-		return new Enumerable(gen);
+		return _setOperator(new Enumerable(gen), 'skipWhile', this, [condition]);
 	}
 
 	/// Returns a new enumerable collection that contains the last nr elements from source.
@@ -608,7 +1059,7 @@ namespace Linqer {
 				return self._tryGetAt!(self.count() - nr + index);
 			};
 		}
-		return result;
+		return _setOperator(result, 'takeLast', this, [nr]);
 	}
 
 	/// Returns elements from a sequence as long as a specified condition is true, and then skips the remaining elements.
@@ -626,41 +1077,70 @@ namespace Linqer {
 				index++;
 			}
 		};
-		return new Enumerable(gen);
+		return _setOperator(new Enumerable(gen), 'takeWhile', this, [condition]);
 	}
 
-	Enumerable.prototype.toDictionary = function (): never {
-		throw new Error('use toMap or toObject instead of toDictionary');
+	/// creates a map from an Enumerable, throwing an error naming the key if two items have the same key
+	Enumerable.prototype.toDictionary = function (keySelector: ISelector, valueSelector: ISelector = x => x, options: IDictionaryOptions = {}): Map<any, any> {
+		return this.toMap(keySelector, valueSelector, { duplicates: options.duplicates || 'throw' });
 	}
 
 	/// creates a map from an Enumerable
-	Enumerable.prototype.toMap = function (keySelector: ISelector, valueSelector: ISelector = x => x): Map<any, any> {
+	Enumerable.prototype.toMap = function (keySelector: ISelector, valueSelector: ISelector = x => x, options: IDictionaryOptions = {}): Map<any, any> {
 		_ensureFunction(keySelector);
 		_ensureFunction(valueSelector);
+		const duplicates = options.duplicates || 'keepLast';
 		const result = new Map<any, any>();
 		let index = 0;
 		for (const item of this) {
-			result.set(keySelector(item, index), valueSelector(item, index));
+			const key = keySelector(item, index);
+			const found = result.has(key);
+			result.set(key, _mergeValue(duplicates, found, found ? result.get(key) : undefined, valueSelector(item, index), key));
 			index++;
 		}
 		return result;
 	}
 
 	/// creates an object from an enumerable
-	Enumerable.prototype.toObject = function (keySelector: ISelector, valueSelector: ISelector = x => x): { [key: string]: any } {
+	Enumerable.prototype.toObject = function (keySelector: ISelector, valueSelector: ISelector = x => x, options: IDictionaryOptions = {}): { [key: string]: any } {
 		_ensureFunction(keySelector);
 		_ensureFunction(valueSelector);
+		const duplicates = options.duplicates || 'keepLast';
 		const result: { [key: string]: any } = {};
 		let index = 0;
 		for (const item of this) {
-			result[keySelector(item, index)] = valueSelector(item);
+			const key = keySelector(item, index);
+			const found = Object.prototype.hasOwnProperty.call(result, key);
+			result[key] = _mergeValue(duplicates, found, result[key], valueSelector(item, index), key);
 			index++;
 		}
 		return result;
 	}
 
-	Enumerable.prototype.toHashSet = function (): never {
-		throw new Error('use toSet instead of toHashSet');
+	// returns the value to be stored for a key, depending on the duplicate key policy
+	function _mergeValue(duplicates: DuplicateKeyPolicy, found: boolean, existing: any, value: any, key: any): any {
+		if (duplicates === 'collect') {
+			if (!found) return [value];
+			existing.push(value);
+			return existing;
+		}
+		if (!found) return value;
+		switch (duplicates) {
+			case 'keepFirst':
+				return existing;
+			case 'keepLast':
+				return value;
+			case 'throw':
+				throw new Error('An item with the same key has already been added. Key: ' + String(key));
+			default:
+				_ensureFunction(duplicates);
+				return duplicates(existing, value, key);
+		}
+	}
+
+	/// creates a HashSet from an enumerable, a set that determines the identity of items by a hashing function or an equality comparer
+	Enumerable.prototype.toHashSet = function (options?: IHashSetOptions): HashSet {
+		return new HashSet(this, options);
 	}
 
 	/// creates a set from an enumerable
@@ -675,11 +1155,18 @@ namespace Linqer {
 	/// Produces the set union of two sequences.
 	Enumerable.prototype.union = function (iterable: IterableType, equalityComparer: IEqualityComparer = EqualityComparer.default): Enumerable {
 		_ensureIterable(iterable);
-		return this.concat(iterable).distinct(equalityComparer);
+		const result = this.concat(iterable).distinct(equalityComparer);
+		return _setOperator(result, 'union', this, [iterable, equalityComparer], [], result._operator!.warning);
+	}
+
+	/// Produces the set union of two sequences based on keys.
+	Enumerable.prototype.unionBy = function (iterable: IterableType, keySelector: ISelector): Enumerable {
+		_ensureIterable(iterable);
+		return _setOperator(this.concat(iterable).distinctBy(keySelector), 'unionBy', this, [iterable, keySelector]);
 	}
 
 	/// Applies a specified function to the corresponding elements of two sequences, producing a sequence of the results.
-	Enumerable.prototype.zip = function (iterable: IterableType, zipper: (item1: any, item2: any, index: number) => any): any {
+	Enumerable.prototype.zip = function (iterable: IterableType, zipper?: (item1: any, item2: any, index: number) => any): Enumerable {
 		_ensureIterable(iterable);
 		if (!zipper) {
 			zipper = (i1,i2)=>[i1,i2];
@@ -691,17 +1178,149 @@ namespace Linqer {
 			let index = 0;
 			const iterator1 = self[Symbol.iterator]();
 			const iterator2 = Enumerable.from(iterable)[Symbol.iterator]();
-			let done = false;
-			do {
-				const val1 = iterator1.next();
-				const val2 = iterator2.next();
-				done = !!(val1.done || val2.done);
-				if (!done) {
-					yield zipper(val1.value, val2.value, index);
-				}
-				index++;
-			} while (!done);
+			let done1 = false;
+			let done2 = false;
+			try {
+				do {
+					const val1 = iterator1.next();
+					done1 = !!val1.done;
+					const val2 = iterator2.next();
+					done2 = !!val2.done;
+					if (!done1 && !done2) {
+						yield zipper!(val1.value, val2.value, index);
+					}
+					index++;
+				} while (!done1 && !done2);
+			} finally {
+				// when one sequence ends or the iteration is stopped, the iterators that were not iterated to the end are closed
+				if (!done1) _closeIterator(iterator1);
+				if (!done2) _closeIterator(iterator2);
+			}
 		};
-		return new Enumerable(gen);
+		return _setOperator(new Enumerable(gen), 'zip', this, [iterable, zipper]);
+	}
+
+	/**
+	 * A Set that determines the identity of items by a hashing function (like distinctByHash) or an equality comparer
+	 * WARNING: using an equality comparer is slower, as every operation compares the item with all the items in the set
+	 *
+	 * @export
+	 * @class HashSet
+	 * @template T the type of the items in the set
+	 * @extends {Enumerable<T>}
+	 */
+	export class HashSet<T = any> extends Enumerable<T> {
+		// the items of the set, keyed by their hash (or by themselves when using an equality comparer)
+		_items: Map<any, T>;
+		_hashFunc: ISelector<T> | null;
+		_equalityComparer: IEqualityComparer<T> | null;
+
+		/**
+		 * Creates an instance of HashSet.
+		 * @param {IterableType<T>} [iterable]
+		 * @param {IHashSetOptions<T>} [options] either the hashing function or the equality comparer
+		 * @memberof HashSet
+		 */
+		constructor(iterable?: IterableType<T>, options?: IHashSetOptions<T>) {
+			const items = new Map<any, T>();
+			super(function* () {
+				for (const item of items.values()) {
+					yield item;
+				}
+			});
+			this._items = items;
+			this._hashFunc = null;
+			this._equalityComparer = null;
+			const { hash, equals } = options || {} as IHashSetOptions<T>;
+			if (hash && equals) throw new Error('HashSet takes either a hashing function or an equality comparer, not both');
+			if (hash) {
+				_ensureFunction(hash);
+				this._hashFunc = hash;
+			} else if (equals) {
+				_ensureFunction(equals);
+				this._equalityComparer = equals;
+			} else {
+				// without a function this behaves like a Set
+				this._hashFunc = item => item;
+			}
+			// the count is always known
+			this._count = () => items.size;
+			if (iterable) {
+				_ensureIterable(iterable);
+				for (const item of Enumerable.from(iterable)) {
+					this.add(item);
+				}
+			}
+			_setOperator(this, 'HashSet', null, [options], [],
+				this._equalityComparer
+					? 'O(n^2): each item is compared with all the items in the set. Use a hashing function instead'
+					: undefined);
+		}
+
+		/**
+		 * The number of items in the set
+		 *
+		 * @readonly
+		 * @type {number}
+		 * @memberof HashSet
+		 */
+		get size(): number {
+			return this._items.size;
+		}
+
+		/**
+		 * Adds an item to the set, unless an item with the same hash (or an equal item) already exists
+		 *
+		 * @param {T} item
+		 * @returns {this}
+		 * @memberof HashSet
+		 */
+		add(item: T): this {
+			const key = this._getKey(item);
+			if (!this._items.has(key)) {
+				this._items.set(key, item);
+			}
+			return this;
+		}
+
+		/**
+		 * Determines whether an item with the same hash (or an equal item) exists in the set
+		 *
+		 * @param {T} item
+		 * @returns {boolean}
+		 * @memberof HashSet
+		 */
+		has(item: T): boolean {
+			return this._items.has(this._getKey(item));
+		}
+
+		/**
+		 * Removes the item with the same hash (or the equal item) from the set
+		 *
+		 * @param {T} item
+		 * @returns {boolean} true if an item was removed
+		 * @memberof HashSet
+		 */
+		delete(item: T): boolean {
+			return this._items.delete(this._getKey(item));
+		}
+
+		/**
+		 * Removes all the items from the set
+		 *
+		 * @memberof HashSet
+		 */
+		clear(): void {
+			this._items.clear();
+		}
+
+		// the hash of the item or, for equality comparers, the existing item equal to it
+		private _getKey(item: T): any {
+			if (this._hashFunc) return this._hashFunc(item);
+			for (const existing of this._items.keys()) {
+				if (this._equalityComparer!(existing, item)) return existing;
+			}
+			return item;
+		}
 	}
 }
\ No newline at end of file
@@ -2,50 +2,59 @@
 
 namespace Linqer {
 
-	export interface Enumerable extends Iterable<any> {
+	export interface Enumerable<T = any> extends Iterable<T> {
 		/**
 		 * Groups the elements of a sequence.
 		 *
-		 * @param {ISelector} keySelector
-		 * @returns {Enumerable}
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @returns {Enumerable<GroupEnumerable<TKey, T>>}
 		 * @memberof Enumerable
 		 */
-		groupBy(keySelector: ISelector): Enumerable;
+		groupBy<TKey>(keySelector: ISelector<T, TKey>): Enumerable<GroupEnumerable<TKey, T>>;
 		/**
 		 * Correlates the elements of two sequences based on key equality and groups the results. A specified equalityComparer is used to compare keys.
 		 * WARNING: using the equality comparer will be slower
 		 *
-		 * @param {IterableType} iterable
-		 * @param {ISelector} innerKeySelector
-		 * @param {ISelector} outerKeySelector
-		 * @param {(item1: any, item2: any) => any} resultSelector
-		 * @param {IEqualityComparer} equalityComparer
-		 * @returns {Enumerable}
+		 * @param {IterableType<TOther>} iterable
+		 * @param {ISelector<T, TKey>} innerKeySelector
+		 * @param {ISelector<TOther, TKey>} outerKeySelector
+		 * @param {(item1: T, item2: TOther[]) => TResult} resultSelector
+		 * @param {IEqualityComparer<TKey>} [equalityComparer]
+		 * @returns {Enumerable<TResult>}
 		 * @memberof Enumerable
 		 */
-		groupJoin(iterable: IterableType,
-			innerKeySelector: ISelector,
-			outerKeySelector: ISelector,
-			resultSelector: (item1: any, item2: any) => any,
-			equalityComparer: IEqualityComparer): Enumerable;
+		groupJoin<TOther, TKey, TResult>(iterable: IterableType<TOther>,
+			innerKeySelector: ISelector<T, TKey>,
+			outerKeySelector: ISelector<TOther, TKey>,
+			resultSelector: (item1: T, item2: TOther[]) => TResult,
+			equalityComparer?: IEqualityComparer<TKey>): Enumerable<TResult>;
 		/**
 		 * Correlates the elements of two sequences based on matching keys.
 		 * WARNING: using the equality comparer will be slower
 		 *
-		 * @param {IterableType} iterable
-		 * @param {ISelector} innerKeySelector
-		 * @param {ISelector} outerKeySelector
-		 * @param {(item1: any, item2: any) => any} resultSelector
-		 * @param {IEqualityComparer} equalityComparer
-		 * @returns {Enumerable}
+		 * @param {IterableType<TOther>} iterable
+		 * @param {ISelector<T, TKey>} innerKeySelector
+		 * @param {ISelector<TOther, TKey>} outerKeySelector
+		 * @param {(item1: T, item2: TOther) => TResult} resultSelector
+		 * @param {IEqualityComparer<TKey>} [equalityComparer]
+		 * @returns {Enumerable<TResult>}
 		 * @memberof Enumerable
 		 */
-		join(iterable: IterableType,
-			innerKeySelector: ISelector,
-			outerKeySelector: ISelector,
-			resultSelector: (item1: any, item2: any) => any,
-			equalityComparer: IEqualityComparer): Enumerable;
-		toLookup(): never;
+		join<TOther, TKey, TResult>(iterable: IterableType<TOther>,
+			innerKeySelector: ISelector<T, TKey>,
+			outerKeySelector: ISelector<TOther, TKey>,
+			resultSelector: (item1: T, item2: TOther) => TResult,
+			equalityComparer?: IEqualityComparer<TKey>): Enumerable<TResult>;
+		/**
+		 * Creates a Lookup from an Enumerable, a collection of groups that can be accessed by key
+		 * Unlike groupBy, the source is grouped only once, when toLookup is called
+		 *
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {ISelector<T, TElement>} [elementSelector]
+		 * @returns {Lookup<TKey, TElement>}
+		 * @memberof Enumerable
+		 */
+		toLookup<TKey, TElement = T>(keySelector: ISelector<T, TKey>, elementSelector?: ISelector<T, TElement>): Lookup<TKey, TElement>;
 	}
 
 
@@ -53,28 +62,15 @@ namespace Linqer {
 	Enumerable.prototype.groupBy = function (keySelector: ISelector): Enumerable {
 		_ensureFunction(keySelector);
 		const self: Enumerable = this;
+		// the source is grouped again every time the result is iterated
+		// use toLookup to group it only once
 		const gen = function* () {
-			const groupMap = new Map<any, any>();
-			let index = 0;
-			// iterate all items and group them in a Map
-			for (const item of self) {
-				const key = keySelector(item, index);
-				const group = groupMap.get(key);
-				if (group) {
-					group.push(item);
-				} else {
-					groupMap.set(key, [item]);
-				}
-				index++;
-			}
-			// then yield a GroupEnumerable for each group
-			for (const [key, items] of groupMap) {
-				const group = new GroupEnumerable(items, key);
+			for (const group of self.toLookup(keySelector)) {
 				yield group;
 			}
 		};
 		const result = new Enumerable(gen);
-		return result;
+		return _setOperator(result, 'groupBy', this, [keySelector]);
 	}
 
 	/// Correlates the elements of two sequences based on key equality and groups the results. A specified equalityComparer is used to compare keys.
@@ -88,12 +84,10 @@ namespace Linqer {
 		const self: Enumerable = this;
 		const gen = equalityComparer === EqualityComparer.default
 			? function* () {
-				const lookup = new Enumerable(iterable)
-					.groupBy(outerKeySelector)
-					.toMap(g => g.key, g => g);
+				const lookup = Enumerable.from(iterable).toLookup(outerKeySelector);
 				let index = 0;
 				for (const innerItem of self) {
-					const arr = _toArray(lookup.get(innerKeySelector(innerItem, index)));
+					const arr = lookup.get(innerKeySelector(innerItem, index)).toArray();
 					yield resultSelector(innerItem, arr);
 					index++;
 				}
@@ -113,7 +107,10 @@ namespace Linqer {
 					innerIndex++;
 				}
 			};
-		return new Enumerable(gen);
+		return _setOperator(new Enumerable(gen), 'groupJoin', this, [iterable, innerKeySelector, outerKeySelector, resultSelector, equalityComparer], [],
+			equalityComparer === EqualityComparer.default
+				? undefined
+				: 'O(n*m): the keys of each item are compared with the keys of all the items of the other sequence');
 	}
 
 	/// Correlates the elements of two sequences based on matching keys.
@@ -126,16 +123,11 @@ namespace Linqer {
 		const self: Enumerable = this;
 		const gen = equalityComparer === EqualityComparer.default
 			? function* () {
-				const lookup = new Enumerable(iterable)
-					.groupBy(outerKeySelector)
-					.toMap(g => g.key, g => g);
+				const lookup = Enumerable.from(iterable).toLookup(outerKeySelector);
 				let index = 0;
 				for (const innerItem of self) {
-					const group = lookup.get(innerKeySelector(innerItem, index));
-					if (group) {
-						for (const outerItem of group) {
-							yield resultSelector(innerItem, outerItem);
-						}
+					for (const outerItem of lookup.get(innerKeySelector(innerItem, index))) {
+						yield resultSelector(innerItem, outerItem);
 					}
 					index++;
 				}
@@ -153,12 +145,37 @@ namespace Linqer {
 					innerIndex++;
 				}
 			};
-		return new Enumerable(gen);
+		return _setOperator(new Enumerable(gen), 'join', this, [iterable, innerKeySelector, outerKeySelector, resultSelector, equalityComparer], [],
+			equalityComparer === EqualityComparer.default
+				? undefined
+				: 'O(n*m): the keys of each item are compared with the keys of all the items of the other sequence');
 	}
 
 
-	Enumerable.prototype.toLookup = function (): never {
-		throw new Error('use groupBy instead of toLookup');
+	/// Creates a Lookup from an Enumerable, a collection of groups that can be accessed by key
+	Enumerable.prototype.toLookup = function (keySelector: ISelector, elementSelector: ISelector = x => x): Lookup {
+		_ensureFunction(keySelector);
+		_ensureFunction(elementSelector);
+		const groupMap = new Map<any, any[]>();
+		let index = 0;
+		// iterate all items and group them in a Map
+		for (const item of this) {
+			const key = keySelector(item, index);
+			const element = elementSelector(item, index);
+			const group = groupMap.get(key);
+			if (group) {
+				group.push(element);
+			} else {
+				groupMap.set(key, [element]);
+			}
+			index++;
+		}
+		// then create a GroupEnumerable for each group
+		const groups = new Map<any, GroupEnumerable>();
+		for (const [key, items] of groupMap) {
+			groups.set(key, new GroupEnumerable(items, key));
+		}
+		return new Lookup(groups);
 	}
 
 	/**
@@ -166,13 +183,62 @@ namespace Linqer {
 	 *
 	 * @export
 	 * @class GroupEnumerable
-	 * @extends {Enumerable}
+	 * @template TKey the type of the group key
+	 * @template T the type of the items in the group
+	 * @extends {Enumerable<T>}
 	 */
-	export class GroupEnumerable extends Enumerable {
-		key: string;
-		constructor(iterable: IterableType, key: string) {
+	export class GroupEnumerable<TKey = any, T = any> extends Enumerable<T> {
+		key: TKey;
+		constructor(iterable: IterableType<T>, key: TKey) {
 			super(iterable);
 			this.key = key;
 		}
 	}
+
+	/**
+	 * A collection of groups that can be accessed by key, created by toLookup
+	 * Iterating it yields the GroupEnumerable instances in the order their keys were first found
+	 *
+	 * @export
+	 * @class Lookup
+	 * @template TKey the type of the group keys
+	 * @template T the type of the items in the groups
+	 * @extends {Enumerable<GroupEnumerable<TKey, T>>}
+	 */
+	export class Lookup<TKey = any, T = any> extends Enumerable<GroupEnumerable<TKey, T>> {
+		_groups: Map<TKey, GroupEnumerable<TKey, T>>;
+
+		/**
+		 * You should never use this. Instead use toLookup
+		 * @param {Map<TKey, GroupEnumerable<TKey, T>>} groups
+		 * @memberof Lookup
+		 */
+		constructor(groups: Map<TKey, GroupEnumerable<TKey, T>>) {
+			// an array source makes count and elementAt work without iterating
+			super(Array.from(groups.values()));
+			this._groups = groups;
+		}
+
+		/**
+		 * Returns the group of items with the given key or an empty Enumerable if the key is not found
+		 *
+		 * @param {TKey} key
+		 * @returns {Enumerable<T>}
+		 * @memberof Lookup
+		 */
+		get(key: TKey): Enumerable<T> {
+			return this._groups.get(key) || Enumerable.empty<T>();
+		}
+
+		/**
+		 * Determines whether a group with the given key exists
+		 *
+		 * @param {TKey} key
+		 * @returns {boolean}
+		 * @memberof Lookup
+		 */
+		has(key: TKey): boolean {
+			return this._groups.has(key);
+		}
+	}
 }
\ No newline at end of file
@@ -1,76 +1,289 @@
 /// <reference path="./LInQer.Slim.ts" />
+/// <reference path="./LInQer.Enumerable.ts" />
 namespace Linqer {
 
-	export interface Enumerable extends Iterable<any> {
+	export interface Enumerable<T = any> extends Iterable<T> {
 		/**
 		 * Sorts the elements of a sequence in ascending order.
 		 *
-		 * @param {ISelector} keySelector
-		 * @returns {OrderedEnumerable}
+		 * @param {ISelector<T, TKey>} [keySelector]
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {OrderedEnumerable<T>}
 		 * @memberof Enumerable
 		 */
-		orderBy(keySelector: ISelector): OrderedEnumerable;
+		orderBy<TKey = T>(keySelector?: ISelector<T, TKey> | null, comparer?: IComparer<TKey>): OrderedEnumerable<T>;
 		/**
 		 * Sorts the elements of a sequence in descending order.
 		 *
-		 * @param {ISelector} keySelector
-		 * @returns {OrderedEnumerable}
+		 * @param {ISelector<T, TKey>} [keySelector]
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {OrderedEnumerable<T>}
 		 * @memberof Enumerable
 		 */
-		orderByDescending(keySelector: ISelector): OrderedEnumerable;
+		orderByDescending<TKey = T>(keySelector?: ISelector<T, TKey> | null, comparer?: IComparer<TKey>): OrderedEnumerable<T>;
 		/**
 		 * use QuickSort for ordering (default). Recommended when take, skip, takeLast, skipLast are used after orderBy
 		 *
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		useQuickSort(): Enumerable;
+		useQuickSort(): Enumerable<T>;
 		/**
 		 * use the default browser sort implementation for ordering at all times
 		 *
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		useBrowserSort(): Enumerable;
+		useBrowserSort(): Enumerable<T>;
+		/**
+		 * use a stable QuickSort for ordering: items with equal keys keep their original order, like in .NET.
+		 * Still optimized when take, skip, takeLast, skipLast are used after orderBy
+		 *
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		useStableSort(): Enumerable<T>;
+		/**
+		 * use LSD radix sort for ordering when all the keys are numbers or all are short strings
+		 * and no custom key comparers are used. A stable QuickSort is used for other keys and small sequences,
+		 * so items with equal keys always keep their original order
+		 *
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		useRadixSort(): Enumerable<T>;
+		/**
+		 * use an incremental QuickSort when iterating an ordered enumerable:
+		 * each item is yielded after only partitioning as much as needed to find it,
+		 * so getting the first items (like with first or a loop that stops early) doesn't sort everything.
+		 * Items with equal keys keep their original order
+		 *
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		useIncrementalSort(): Enumerable<T>;
+		/**
+		 * Returns the k items with the largest keys, in descending order of the keys.
+		 * Uses a bounded heap, so only k items are kept in memory while the source is iterated.
+		 * Items with equal keys keep their original order
+		 *
+		 * @param {number} k
+		 * @param {ISelector<T, TKey>} [keySelector]
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		topBy<TKey = T>(k: number, keySelector?: ISelector<T, TKey> | null, comparer?: IComparer<TKey>): Enumerable<T>;
+		/**
+		 * Returns the item that would be at index n if the sequence was ordered by the key, without ordering it.
+		 * Uses Quickselect on a copy of the items, in expected O(n) time.
+		 * Items with equal keys keep their original order, like with useStableSort
+		 *
+		 * @param {number} n
+		 * @param {ISelector<T, TKey>} [keySelector]
+		 * @param {INthElementOptions<TKey>} [options] descending order and a custom comparer for the keys
+		 * @returns {T}
+		 * @memberof Enumerable
+		 */
+		nthElement<TKey = T>(n: number, keySelector?: ISelector<T, TKey> | null, options?: INthElementOptions<TKey>): T;
+		/**
+		 * Computes the median of a sequence of numeric values, the average of the two middle values for an even count.
+		 * Uses Quickselect, so the sequence is not ordered.
+		 *
+		 * @param {ISelector<T, number>} [selector]
+		 * @returns {(number | undefined)} undefined for an empty sequence
+		 * @memberof Enumerable
+		 */
+		median(selector?: ISelector<T, number> | null): number | undefined;
+		/**
+		 * Computes the p-th percentile (p between 0 and 1) of a sequence of numeric values
+		 * by interpolating between the closest values, like spreadsheets do:
+		 * PERCENTILE.INC (the default) or PERCENTILE.EXC.
+		 * Uses Quickselect, so the sequence is not ordered.
+		 *
+		 * @param {number} p
+		 * @param {ISelector<T, number>} [selector]
+		 * @param {IPercentileOptions} [options] the interpolation and descending order
+		 * @returns {(number | undefined)} undefined for an empty sequence
+		 * @memberof Enumerable
+		 */
+		percentile(p: number, selector?: ISelector<T, number> | null, options?: IPercentileOptions): number | undefined;
+	}
+
+	/**
+	 * Options for nthElement
+	 */
+	export interface INthElementOptions<TKey = any> {
+		// count n from the largest key
+		descending?: boolean;
+		comparer?: IComparer<TKey>;
+	}
+
+	/**
+	 * Options for percentile
+	 */
+	export interface IPercentileOptions {
+		// inclusive is PERCENTILE.INC, exclusive is PERCENTILE.EXC,
+		// which only works for p between 1/(count+1) and count/(count+1)
+		interpolation?: 'inclusive' | 'exclusive';
+		// the p-th percentile counted from the largest value
+		descending?: boolean;
 	}
 
 
 	/// Sorts the elements of a sequence in ascending order.
-	Enumerable.prototype.orderBy = function (keySelector: ISelector): OrderedEnumerable {
+	Enumerable.prototype.orderBy = function (keySelector?: ISelector | null, comparer?: IComparer): OrderedEnumerable {
 		if (keySelector) {
 			_ensureFunction(keySelector);
 		} else {
 			keySelector = item => item;
 		}
-		return new OrderedEnumerable(this, keySelector, true);
+		if (comparer) _ensureFunction(comparer);
+		return _setOperator(new OrderedEnumerable(this, keySelector, true, comparer), 'orderBy', this, [keySelector, comparer]);
 	};
 
 	/// Sorts the elements of a sequence in descending order.
-	Enumerable.prototype.orderByDescending = function (keySelector: ISelector): OrderedEnumerable {
+	Enumerable.prototype.orderByDescending = function (keySelector?: ISelector | null, comparer?: IComparer): OrderedEnumerable {
 		if (keySelector) {
 			_ensureFunction(keySelector);
 		} else {
 			keySelector = item => item;
 		}
-		return new OrderedEnumerable(this, keySelector, false);
+		if (comparer) _ensureFunction(comparer);
+		return _setOperator(new OrderedEnumerable(this, keySelector, false, comparer), 'orderByDescending', this, [keySelector, comparer]);
 	};
 
 	/// use QuickSort for ordering (default). Recommended when take, skip, takeLast, skipLast are used after orderBy
 	Enumerable.prototype.useQuickSort = function (): Enumerable {
-		this._useQuickSort = true;
+		this._sortMode = 'quick';
 		return this;
 	};
 
 	/// use the default browser sort implementation for ordering at all times
 	Enumerable.prototype.useBrowserSort = function (): Enumerable {
-		this._useQuickSort = false;
+		this._sortMode = 'browser';
 		return this;
 	};
 
+	/// use a stable QuickSort for ordering, items with equal keys keep their original order
+	Enumerable.prototype.useStableSort = function (): Enumerable {
+		this._sortMode = 'stable';
+		return this;
+	};
+
+	/// use radix sort for ordering by numeric or short string keys, QuickSort otherwise
+	Enumerable.prototype.useRadixSort = function (): Enumerable {
+		this._sortMode = 'radix';
+		return this;
+	};
+
+	/// use an incremental QuickSort when iterating, so that the first items are yielded without sorting everything
+	Enumerable.prototype.useIncrementalSort = function (): Enumerable {
+		this._sortMode = 'incremental';
+		return this;
+	};
+
+
+	/// Returns the k items with the largest keys, in descending order of the keys
+	Enumerable.prototype.topBy = function (k: number, keySelector?: ISelector | null, comparer?: IComparer): Enumerable {
+		if (keySelector) {
+			_ensureFunction(keySelector);
+		} else {
+			keySelector = item => item;
+		}
+		if (comparer) _ensureFunction(comparer);
+		const self: Enumerable = this;
+		const selector = keySelector;
+		const keyComparer = comparer || _defaultComparer;
+		const gen = function* () {
+			// the key of every item is computed only once
+			const withKeys = self.select(item => ({ item, key: selector(item) }));
+			const top = _topK(withKeys, k, (e1, e2) => keyComparer(e2.item.key, e1.item.key) || e1.index - e2.index);
+			for (const entry of top) {
+				yield entry.item;
+			}
+		};
+		return _setOperator(new Enumerable(gen), 'topBy', this, [k, keySelector, comparer]);
+	};
+
+	/// Returns the item that would be at index n if the sequence was ordered by the key
+	Enumerable.prototype.nthElement = function (n: number, keySelector?: ISelector | null, options?: INthElementOptions): any {
+		if (keySelector) {
+			_ensureFunction(keySelector);
+		} else {
+			keySelector = item => item;
+		}
+		const items = this.toArray();
+		if (!(n >= 0 && n < items.length)) throw new Error('Index out of range');
+		const keys = new Array(items.length);
+		const indexes = new Array(items.length);
+		for (let i = 0; i < items.length; i++) {
+			keys[i] = keySelector(items[i]);
+			indexes[i] = i;
+		}
+		const keyComparer = (options && options.comparer) || _defaultComparer;
+		// the original index decides between equal keys
+		const comparer: IComparer<number> = options && options.descending
+			? (i1, i2) => keyComparer(keys[i2], keys[i1]) || i1 - i2
+			: (i1, i2) => keyComparer(keys[i1], keys[i2]) || i1 - i2;
+		_quickSelect(indexes, n, comparer);
+		return items[indexes[n]];
+	};
+
+	/// Computes the median of a sequence of numeric values
+	Enumerable.prototype.median = function (selector?: ISelector<any, number> | null): number | undefined {
+		return this.percentile(0.5, selector);
+	};
+
+	/// Computes the p-th percentile of a sequence of numeric values, like PERCENTILE.INC or PERCENTILE.EXC
+	Enumerable.prototype.percentile = function (p: number, selector?: ISelector<any, number> | null, options?: IPercentileOptions): number | undefined {
+		if (selector) _ensureFunction(selector);
+		if (typeof p !== 'number' || !(p >= 0 && p <= 1)) throw new Error('p has to be between 0 and 1');
+		const values: number[] = selector
+			? this.select(selector).toArray()
+			: this.toArray();
+		const length = values.length;
+		if (!length) return undefined;
+		if (options && options.descending) p = 1 - p;
+		// the position of the percentile in the ordered values, usually between two of them
+		let rank: number;
+		const interpolation = (options && options.interpolation) || 'inclusive';
+		switch (interpolation) {
+			case 'inclusive':
+				rank = (length - 1) * p;
+				break;
+			case 'exclusive':
+				rank = (length + 1) * p - 1;
+				if (rank < 0 || rank > length - 1) throw new Error('p is out of range for the exclusive percentile of ' + length + ' values');
+				break;
+			default:
+				throw new Error('Unknown interpolation ' + interpolation);
+		}
+		const lower = Math.floor(rank);
+		const indexes = new Array(length);
+		for (let i = 0; i < length; i++) {
+			indexes[i] = i;
+		}
+		const comparer: IComparer<number> = (i1, i2) => _defaultComparer(values[i1], values[i2]) || i1 - i2;
+		_quickSelect(indexes, lower, comparer);
+		const low = values[indexes[lower]];
+		const fraction = rank - lower;
+		if (!fraction) return low;
+		// all the values after the selected one are larger, so the next value is their minimum
+		let next = indexes[lower + 1];
+		for (let i = lower + 2; i < length; i++) {
+			if (comparer(indexes[i], next) < 0) next = indexes[i];
+		}
+		return low + fraction * (values[next] - low);
+	};
 
-	//static sort: (arr: any[], comparer?: IComparer) => void;
-	Enumerable.sort = function (arr: any[], comparer: IComparer = _defaultComparer): any[] {
-		_quickSort(arr, 0, arr.length - 1, comparer, 0, Number.MAX_SAFE_INTEGER);
+	//static sort: <T>(arr: T[], comparer?: IComparer<T>, options?: ISortOptions) => T[];
+	Enumerable.sort = function <T>(arr: T[], comparer: IComparer<T> = _defaultComparer, options?: ISortOptions): T[] {
+		if (options && options.stable) {
+			_stableQuickSort(arr, 0, arr.length - 1, comparer, 0, Number.MAX_SAFE_INTEGER);
+		} else {
+			_quickSort(arr, 0, arr.length - 1, comparer, 0, Number.MAX_SAFE_INTEGER);
+		}
 		return arr;
 	}
 
@@ -83,36 +296,47 @@ namespace Linqer {
 
 	/**
 	 * An Enumerable yielding ordered items
+	 * thenBy, thenByDescending, skip, take, skipLast and takeLast return new instances, so it can be reused in several queries
 	 *
 	 * @export
 	 * @class OrderedEnumerable
-	 * @extends {Enumerable}
+	 * @template T the type of the items in the sequence
+	 * @extends {Enumerable<T>}
 	 */
-	export class OrderedEnumerable extends Enumerable {
-		_keySelectors: { keySelector: ISelector, ascending: boolean }[];
+	export class OrderedEnumerable<T = any> extends Enumerable<T> {
+		_keySelectors: { keySelector: ISelector<T>, ascending: boolean, comparer?: IComparer }[];
 		_restrictions: { type: RestrictionType, nr: number }[];
+		// the result of the first sort, reused by later iterations
+		_sorted: { startIndex: number, endIndex: number, arr: T[] | null } | null;
 
 		/**
 		 *Creates an instance of OrderedEnumerable.
-		 * @param {IterableType} src
-		 * @param {ISelector} [keySelector]
+		 * @param {IterableType<T>} src
+		 * @param {ISelector<T>} [keySelector]
 		 * @param {boolean} [ascending=true]
+		 * @param {IComparer} [comparer] used to compare the keys, the default comparer if not specified
 		 * @memberof OrderedEnumerable
 		 */
-		constructor(src: IterableType,
-			keySelector?: ISelector,
-			ascending: boolean = true) {
+		constructor(src: IterableType<T>,
+			keySelector?: ISelector<T>,
+			ascending: boolean = true,
+			comparer?: IComparer) {
 			super(src);
 			this._keySelectors = [];
 			this._restrictions = [];
+			this._sorted = null;
 			if (keySelector) {
-				this._keySelectors.push({ keySelector: keySelector, ascending: ascending });
+				this._keySelectors.push({ keySelector: keySelector, ascending: ascending, comparer: comparer });
 			}
-			const self: OrderedEnumerable = this;
+			const self: OrderedEnumerable<T> = this;
 			// generator gets an array of the original, 
 			// sorted inside the interval determined by functions such as skip, take, skipLast, takeLast
 			this._generator = function* () {
-				let { startIndex, endIndex, arr } = this.getSortedArray();
+				if (self._sortMode === 'incremental' && !self._sorted) {
+					yield* self.sortIncrementally();
+					return;
+				}
+				let { startIndex, endIndex, arr } = self.getSortedArray();
 				if (arr) {
 					for (let index = startIndex; index < endIndex; index++) {
 						yield arr[index];
@@ -123,43 +347,140 @@ namespace Linqer {
 			// the count is the difference between the end and start indexes
 			// if no skip/take functions were used, this will be the original count
 			this._count = () => {
+				if (self._sorted) {
+					return self._sorted.endIndex - self._sorted.startIndex;
+				}
 				const totalCount = Enumerable.from(self._src).count();
 				const { startIndex, endIndex } = this.getStartAndEndIndexes(self._restrictions, totalCount);
 				return endIndex - startIndex;
 			};
-			// an ordered enumerable cannot seek
+			// an ordered enumerable can only seek after it was sorted,
+			// until then an item is found by iterating, which stops early when sorting incrementally
 			this._canSeek=false;
-			this._tryGetAt = ()=>{ throw new Error('Ordered enumerables cannot seek'); };
+			this._tryGetAt = index => {
+				let x = 0;
+				for (const item of self) {
+					if (index === x) return { value: item };
+					x++;
+				}
+				return null;
+			};
 		}
 
+		/// sorts the items the first time it is called, then returns the cached result
+		/// and makes the enumerable seekable
 		private getSortedArray() {
+			if (!this._sorted) {
+				this.cacheSortedArray(this.sortArray());
+			}
+			return this._sorted!;
+		}
+
+		/// keeps the sorted items for later iterations and makes the enumerable seekable
+		private cacheSortedArray(sorted: { startIndex: number, endIndex: number, arr: T[] | null }) {
+			this._sorted = sorted;
+			this._canSeek = true;
+			this._tryGetAt = index => {
+				const position = sorted.startIndex + index;
+				return sorted.arr && index >= 0 && position < sorted.endIndex
+					? { value: sorted.arr[position] }
+					: null;
+			};
+		}
+
+		/// yields the items in order, partitioning only as much as needed to find each of them
+		private *sortIncrementally(): IterableIterator<T> {
+			const arr = Array.from(this._src as Iterable<T>);
+			const { startIndex, endIndex } = this.getStartAndEndIndexes(this._restrictions, arr.length);
+			if (startIndex >= endIndex) return;
+			const { keys, indexes } = this.getKeysAndIndexes(arr);
+			const keysComparer = this.generateIndexComparer(keys);
+			// the original index decides between equal items, so no two items are equal when partitioning
+			const comparer: IComparer<number> = (i1, i2) => keysComparer(i1, i2) || i1 - i2;
+			// the positions of the items that are in their final place, the last one being the lowest
+			const positions = [arr.length];
+			const result: T[] = [];
+			for (let position = startIndex; position < endIndex; position++) {
+				_incrementalQuickSort(indexes, position, position === startIndex ? 0 : position, positions, comparer);
+				const item = arr[indexes[position]];
+				result.push(item);
+				yield item;
+			}
+			// all the items were sorted, so they can be reused
+			if (!this._sorted) {
+				this.cacheSortedArray({ startIndex: 0, endIndex: result.length, arr: result });
+			}
+		}
+
+		/// the keys of all the items, computed only once, and the indexes of the items, to be sorted by the keys.
+		/// The keys are kept in one array for each key selector, so no array is allocated for every item
+		private getKeysAndIndexes(arr: T[]): { keys: any[][], indexes: number[] } {
+			// pushing keeps the arrays packed, which makes accessing them faster than preallocating
+			const keys = this._keySelectors.map(s => {
+				const values: any[] = [];
+				for (let i = 0; i < arr.length; i++) {
+					values.push(s.keySelector(arr[i]));
+				}
+				return values;
+			});
+			const indexes: number[] = [];
+			for (let i = 0; i < arr.length; i++) {
+				indexes.push(i);
+			}
+			return { keys, indexes };
+		}
+
+		/// a new ordered enumerable over the same source, with its own copies of the key selectors and restrictions,
+		/// so that queries branching from the same ordered enumerable don't interfere
+		private clone(): OrderedEnumerable<T> {
+			const result = new OrderedEnumerable<T>(this._src);
+			result._keySelectors = this._keySelectors.slice();
+			result._restrictions = this._restrictions.slice();
+			result._sortMode = this._sortMode;
+			result._operator = this._operator;
+			return result;
+		}
+
+		private sortArray(): { startIndex: number, endIndex: number, arr: T[] | null } {
 			const self = this;
 			let startIndex: number;
 			let endIndex: number;
-			let arr: any[] | null = null;
-			const innerEnumerable = self._src as Enumerable;
+			let arr: T[] | null = null;
+			const innerEnumerable = self._src as Enumerable<T>;
 			_ensureInternalTryGetAt(innerEnumerable);
 			// try to avoid enumerating the entire original into an array
 			if (innerEnumerable._canSeek) {
 				({ startIndex, endIndex } = self.getStartAndEndIndexes(self._restrictions, innerEnumerable.count()));
 			} else {
-				arr = Array.from(self._src);
+				// when only the first or last items are needed, keep just those in memory
+				const top = self._sortMode !== 'browser'
+					? self.getTopItems()
+					: null;
+				if (top && !Array.isArray(top)) return top;
+				// otherwise sort all the items, some of which might have been read already
+				arr = top || Array.from(self._src as Iterable<T>);
 				({ startIndex, endIndex } = self.getStartAndEndIndexes(self._restrictions, arr.length));
 			}
 			if (startIndex < endIndex) {
 				if (!arr) {
-					arr = Array.from(self._src);
+					arr = Array.from(self._src as Iterable<T>);
+				}
+				// the keys of every item are computed only once,
+				// then the indexes of the items are sorted by comparing the cached keys
+				const { keys, indexes } = self.getKeysAndIndexes(arr);
+				// the first strategy that supports the keys sorts the indexes
+				for (const strategy of self.getSortStrategies(keys)) {
+					if (strategy(indexes, startIndex, endIndex)) break;
+				}
+				// only the items inside the interval are needed
+				const sorted: T[] = [];
+				for (let index = startIndex; index < endIndex; index++) {
+					sorted.push(arr[indexes[index]]);
 				}
-				// only quicksort supports partial ordering inside an interval
-				const sort: (item1: any, item2: any) => void = self._useQuickSort
-					? (a, c) => _quickSort(a, 0, a.length - 1, c, startIndex, endIndex)
-					: (a, c) => a.sort(c);
-				const sortFunc = self.generateSortFunc(self._keySelectors);
-				sort(arr, sortFunc);
 				return {
-					startIndex,
-					endIndex,
-					arr
+					startIndex: 0,
+					endIndex: sorted.length,
+					arr: sorted
 				};
 			} else {
 				return {
@@ -170,26 +491,115 @@ namespace Linqer {
 			}
 		}
 
-		private generateSortFunc(selectors: { keySelector: ISelector, ascending: boolean }[]): (i1: any, i2: any) => number {
+		/// the sort strategies to try in order, according to the sort mode
+		private getSortStrategies(keys: any[][]): ISortStrategy[] {
+			const keySelectors = this._keySelectors;
+			const keysComparer = this.generateIndexComparer(keys);
+			const sortMode = this._sortMode;
+			// radix sort is stable, so its QuickSort fallback has to be stable too,
+			// and so does the one used instead of the incremental sort by toArray, count or seeking
+			const stable = sortMode === 'stable' || sortMode === 'radix' || sortMode === 'incremental';
+			const strategies: ISortStrategy[] = [];
+			if (sortMode === 'radix') {
+				strategies.push(indexes => _radixSort(indexes, keys, keySelectors));
+			}
+			if (sortMode !== 'browser') {
+				// only quicksort supports partial ordering inside an interval
+				strategies.push((indexes, startIndex, endIndex) => {
+					const sortFunc: IComparer<number> = stable
+						? (i1, i2) => keysComparer(i1, i2) || i1 - i2
+						: keysComparer;
+					_quickSort(indexes, 0, indexes.length - 1, sortFunc, startIndex, endIndex);
+					return true;
+				});
+			} else {
+				strategies.push(indexes => {
+					indexes.sort(keysComparer);
+					return true;
+				});
+			}
+			return strategies;
+		}
+
+		/// when the restrictions only keep items from the start (skip, take) or from the end (skipLast, takeLast)
+		/// of the ordered sequence, use a bounded heap instead of reading the entire source into an array.
+		/// The heap is only faster than sorting when it keeps less than half of the items,
+		/// so if the source has no more than twice the items needed, all of them are returned to be sorted
+		private getTopItems(): { startIndex: number, endIndex: number, arr: T[] } | T[] | null {
+			const restrictions = this._restrictions;
+			const fromStart = restrictions.some(r => r.type === RestrictionType.take)
+				&& restrictions.every(r => r.type === RestrictionType.take || r.type === RestrictionType.skip);
+			const fromEnd = restrictions.some(r => r.type === RestrictionType.takeLast)
+				&& restrictions.every(r => r.type === RestrictionType.takeLast || r.type === RestrictionType.skipLast);
+			if (!fromStart && !fromEnd) return null;
+			// the restrictions from the end work like the ones from the start on the reversed ordering
+			const mirrored = fromStart
+				? restrictions
+				: restrictions.map(r => ({ type: r.type === RestrictionType.takeLast ? RestrictionType.take : RestrictionType.skip, nr: r.nr }));
+			const { startIndex, endIndex } = this.getStartAndEndIndexes(mirrored, Number.POSITIVE_INFINITY);
+			const iterator = (this._src as Iterable<T>)[Symbol.iterator]();
+			const head: T[] = [];
+			while (head.length < 2 * endIndex) {
+				const val = iterator.next();
+				if (val.done) return head;
+				head.push(val.value);
+			}
+			// the items already read, then the rest of the source
+			const items = function* () {
+				yield* head;
+				try {
+					let val = iterator.next();
+					while (!val.done) {
+						yield val.value;
+						val = iterator.next();
+					}
+				} finally {
+					_closeIterator(iterator);
+				}
+			};
+			const keysComparer = this.generateSortFunc(this._keySelectors);
+			// the keys are computed once for every item, like for the full sort
+			const getKeys = this.getKeysFunc();
+			const withKeys = Enumerable.from(items).select(item => ({ item, keys: getKeys(item) }));
+			// the original index decides between equal items, so the result is the same as the one of the stable sort
+			const arr = (fromStart
+				? _topK(withKeys, endIndex, (e1, e2) => keysComparer(e1.item.keys, e2.item.keys) || e1.index - e2.index)
+				: _topK(withKeys, endIndex, (e1, e2) => keysComparer(e2.item.keys, e1.item.keys) || e2.index - e1.index).reverse()
+			).map(entry => entry.item);
+			return fromStart
+				? { startIndex, endIndex, arr }
+				: { startIndex: 0, endIndex: endIndex - startIndex, arr };
+		}
+
+		/// a function returning the keys of an item for the bounded heap: the value of the key selector
+		/// in the most common case (ordered by a single criterion), otherwise an array with the values of all the key selectors
+		private getKeysFunc(): (item: T) => any {
+			const selectors = this._keySelectors;
+			if (selectors.length == 1) return selectors[0].keySelector;
+			return item => {
+				const keys = new Array(selectors.length);
+				for (let i = 0; i < keys.length; i++) {
+					keys[i] = selectors[i].keySelector(item);
+				}
+				return keys;
+			};
+		}
+
+		/// compares two items by their indexes in the arrays of keys returned by getKeysAndIndexes
+		private generateIndexComparer(keys: any[][]): IComparer<number> {
 			// simplify the selectors into an array of comparers
-			const comparers = selectors.map(s => {
-				const f = s.keySelector;
-				const comparer = (i1: any, i2: any) => {
-					const k1 = f(i1);
-					const k2 = f(i2);
-					if (k1 > k2) return 1;
-					if (k1 < k2) return -1;
-					return 0;
-				};
+			const comparers = this._keySelectors.map((s, index) => {
+				const keyComparer = s.comparer || _defaultComparer;
+				const values = keys[index];
 				return s.ascending
-					? comparer
-					: (i1: any, i2: any) => -comparer(i1, i2);
+					? (i1: number, i2: number) => keyComparer(values[i1], values[i2])
+					: (i1: number, i2: number) => -keyComparer(values[i1], values[i2]);
 			});
 			// optimize the resulting sort function in the most common case
 			// (ordered by a single criterion)
 			return comparers.length == 1
 				? comparers[0]
-				: (i1: any, i2: any) => {
+				: (i1: number, i2: number) => {
 					for (let i = 0; i < comparers.length; i++) {
 						const v = comparers[i](i1, i2);
 						if (v) return v;
@@ -198,6 +608,32 @@ namespace Linqer {
 				};
 		}
 
+		/// compares the keys of two items, as returned by the function from getKeysFunc
+		private generateSortFunc(selectors: { keySelector: ISelector<T>, ascending: boolean, comparer?: IComparer }[]): IComparer {
+			// optimize the resulting sort function in the most common case
+			// (ordered by a single criterion)
+			if (selectors.length == 1) {
+				const keyComparer = selectors[0].comparer || _defaultComparer;
+				return selectors[0].ascending
+					? keyComparer
+					: (k1: any, k2: any) => -keyComparer(k1, k2);
+			}
+			// simplify the selectors into an array of comparers
+			const comparers = selectors.map((s, index) => {
+				const keyComparer = s.comparer || _defaultComparer;
+				return s.ascending
+					? (k1: any[], k2: any[]) => keyComparer(k1[index], k2[index])
+					: (k1: any[], k2: any[]) => -keyComparer(k1[index], k2[index]);
+			});
+			return (k1: any[], k2: any[]) => {
+				for (let i = 0; i < comparers.length; i++) {
+					const v = comparers[i](k1, k2);
+					if (v) return v;
+				}
+				return 0;
+			};
+		}
+
 		/// calculate the interval in which an array needs to have ordered items for this ordered enumerable
 		private getStartAndEndIndexes(restrictions: { type: RestrictionType, nr: number }[], arrLength: number) {
 			let startIndex = 0;
@@ -222,85 +658,130 @@ namespace Linqer {
 		}
 
 
+		/**
+		 * Describes the operators that created this enumerable
+		 * thenBy and the deferred skip/take functions are shown as stages after the ordering one
+		 *
+		 * @returns {IExplainNode}
+		 * @memberof OrderedEnumerable
+		 */
+		explain(): IExplainNode {
+			let node = super.explain();
+			node.toArray = 'sort';
+			const stages: { operator: string, args: any[] }[] = [];
+			// only the first key selector belongs to orderBy/orderByDescending
+			for (const ks of this._keySelectors.slice(1)) {
+				stages.push({ operator: ks.ascending ? 'thenBy' : 'thenByDescending', args: [ks.keySelector, ks.comparer] });
+			}
+			for (const restriction of this._restrictions) {
+				stages.push({ operator: RestrictionType[restriction.type], args: [restriction.nr] });
+			}
+			for (const stage of stages) {
+				node = {
+					operator: stage.operator,
+					args: stage.args,
+					canSeek: node.canSeek,
+					count: node.count,
+					toArray: node.toArray,
+					warnings: [],
+					parent: node,
+					inputs: []
+				};
+			}
+			return node;
+		}
+
 		/**
 		 * Performs a subsequent ordering of the elements in a sequence in ascending order.
 		 *
-		 * @param {ISelector} keySelector
-		 * @returns {OrderedEnumerable}
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {OrderedEnumerable<T>}
 		 * @memberof OrderedEnumerable
 		 */
-		thenBy(keySelector: ISelector): OrderedEnumerable {
-			this._keySelectors.push({ keySelector: keySelector, ascending: true });
-			return this;
+		thenBy<TKey = any>(keySelector: ISelector<T, TKey>, comparer?: IComparer<TKey>): OrderedEnumerable<T> {
+			_ensureFunction(keySelector);
+			if (comparer) _ensureFunction(comparer);
+			const result = this.clone();
+			result._keySelectors.push({ keySelector: keySelector, ascending: true, comparer: comparer });
+			return result;
 		}
 		/**
 		 * Performs a subsequent ordering of the elements in a sequence in descending order.
 		 *
-		 * @param {ISelector} keySelector
-		 * @returns {OrderedEnumerable}
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {OrderedEnumerable<T>}
 		 * @memberof OrderedEnumerable
 		 */
-		thenByDescending(keySelector: ISelector): OrderedEnumerable {
-			this._keySelectors.push({ keySelector: keySelector, ascending: false });
-			return this;
+		thenByDescending<TKey = any>(keySelector: ISelector<T, TKey>, comparer?: IComparer<TKey>): OrderedEnumerable<T> {
+			_ensureFunction(keySelector);
+			if (comparer) _ensureFunction(comparer);
+			const result = this.clone();
+			result._keySelectors.push({ keySelector: keySelector, ascending: false, comparer: comparer });
+			return result;
 		}
 
 		/**
 		 * Deferred and optimized implementation of take
 		 *
 		 * @param {number} nr
-		 * @returns {OrderedEnumerable}
+		 * @returns {OrderedEnumerable<T>}
 		 * @memberof OrderedEnumerable
 		 */
-		take(nr: number): OrderedEnumerable {
-			this._restrictions.push({ type: RestrictionType.take, nr: nr });
-			return this;
+		take(nr: number): OrderedEnumerable<T> {
+			const result = this.clone();
+			result._restrictions.push({ type: RestrictionType.take, nr: nr });
+			return result;
 		}
 
 		/**
 		 * Deferred and optimized implementation of takeLast
 		 *
 		 * @param {number} nr
-		 * @returns {OrderedEnumerable}
+		 * @returns {OrderedEnumerable<T>}
 		 * @memberof OrderedEnumerable
 		 */
-		takeLast(nr: number): OrderedEnumerable {
-			this._restrictions.push({ type: RestrictionType.takeLast, nr: nr });
-			return this;
+		takeLast(nr: number): OrderedEnumerable<T> {
+			const result = this.clone();
+			result._restrictions.push({ type: RestrictionType.takeLast, nr: nr });
+			return result;
 		}
 
 		/**
 		 * Deferred and optimized implementation of skip
 		 *
 		 * @param {number} nr
-		 * @returns {OrderedEnumerable}
+		 * @returns {OrderedEnumerable<T>}
 		 * @memberof OrderedEnumerable
 		 */
-		skip(nr: number): OrderedEnumerable {
-			this._restrictions.push({ type: RestrictionType.skip, nr: nr });
-			return this;
+		skip(nr: number): OrderedEnumerable<T> {
+			const result = this.clone();
+			result._restrictions.push({ type: RestrictionType.skip, nr: nr });
+			return result;
 		}
 
 		/**
 		 * Deferred and optimized implementation of skipLast
 		 *
 		 * @param {number} nr
-		 * @returns {OrderedEnumerable}
+		 * @returns {OrderedEnumerable<T>}
 		 * @memberof OrderedEnumerable
 		 */
-		skipLast(nr: number): OrderedEnumerable {
-			this._restrictions.push({ type: RestrictionType.skipLast, nr: nr });
-			return this;
+		skipLast(nr: number): OrderedEnumerable<T> {
+			const result = this.clone();
+			result._restrictions.push({ type: RestrictionType.skipLast, nr: nr });
+			return result;
 		}
 
 
 		/**
 		 * An optimized implementation of toArray
 		 *
-		 * @returns {any[]}
+		 * @returns {T[]}
 		 * @memberof OrderedEnumerable
 		 */
-		toArray(): any[] {
+		toArray(): T[] {
 			const { startIndex, endIndex, arr } = this.getSortedArray();
 			return arr
 				? arr.slice(startIndex, endIndex)
@@ -311,51 +792,45 @@ namespace Linqer {
 		/**
 		 * An optimized implementation of toMap
 		 *
-		 * @param {ISelector} keySelector
-		 * @param {ISelector} [valueSelector=x => x]
-		 * @returns {Map<any, any>}
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {ISelector<T, TValue>} [valueSelector=x => x]
+		 * @param {IDictionaryOptions<TKey, TValue>} [options]
+		 * @returns {Map<TKey, TValue>}
 		 * @memberof OrderedEnumerable
 		 */
-		toMap(keySelector: ISelector, valueSelector: ISelector = x => x): Map<any, any> {
-			_ensureFunction(keySelector);
-			_ensureFunction(valueSelector);
-			const result = new Map<any, any>();
-			const arr = this.toArray();
-			for (let i = 0; i < arr.length; i++) {
-				result.set(keySelector(arr[i], i), valueSelector(arr[i], i));
-			}
-			return result;
+		toMap<TKey, TValue = T>(keySelector: ISelector<T, TKey>, valueSelector: ISelector<T, TValue> | undefined, options: { duplicates: 'collect' }): Map<TKey, TValue[]>;
+		toMap<TKey, TValue = T>(keySelector: ISelector<T, TKey>, valueSelector?: ISelector<T, TValue>, options?: IDictionaryOptions<TKey, TValue>): Map<TKey, TValue>;
+		toMap(keySelector: ISelector<T>, valueSelector?: ISelector<T>, options?: IDictionaryOptions): Map<any, any> {
+			// the sorted array is iterated directly
+			return Enumerable.from(this.toArray()).toMap(keySelector, valueSelector, options);
 		}
 
 
 		/**
 		 * An optimized implementation of toObject
 		 *
-		 * @param {ISelector} keySelector
-		 * @param {ISelector} [valueSelector=x => x]
-		 * @returns {{ [key: string]: any }}
+		 * @param {ISelector<T>} keySelector
+		 * @param {ISelector<T, TValue>} [valueSelector=x => x]
+		 * @param {IDictionaryOptions<string, TValue>} [options]
+		 * @returns {{ [key: string]: TValue }}
 		 * @memberof OrderedEnumerable
 		 */
-		toObject(keySelector: ISelector, valueSelector: ISelector = x => x): { [key: string]: any } {
-			_ensureFunction(keySelector);
-			_ensureFunction(valueSelector);
-			const result: { [key: string]: any } = {};
-			const arr = this.toArray();
-			for (let i = 0; i < arr.length; i++) {
-				result[keySelector(arr[i], i)] = valueSelector(arr[i], i);
-			}
-			return result;
+		toObject<TValue = T>(keySelector: ISelector<T>, valueSelector: ISelector<T, TValue> | undefined, options: { duplicates: 'collect' }): { [key: string]: TValue[] };
+		toObject<TValue = T>(keySelector: ISelector<T>, valueSelector?: ISelector<T, TValue>, options?: IDictionaryOptions<string, TValue>): { [key: string]: TValue };
+		toObject(keySelector: ISelector<T>, valueSelector?: ISelector<T>, options?: IDictionaryOptions): { [key: string]: any } {
+			// the sorted array is iterated directly
+			return Enumerable.from(this.toArray()).toObject(keySelector, valueSelector, options);
 		}
 
 
 		/**
 		 * An optimized implementation of to Set
 		 *
-		 * @returns {Set<any>}
+		 * @returns {Set<T>}
 		 * @memberof OrderedEnumerable
 		 */
-		toSet(): Set<any> {
-			const result = new Set<any>();
+		toSet(): Set<T> {
+			const result = new Set<T>();
 			const arr = this.toArray();
 			for (let i = 0; i < arr.length; i++) {
 				result.add(arr[i]);
@@ -366,6 +841,136 @@ namespace Linqer {
 	}
 
 
+	/// sorts the indexes of the items by their keys (as returned by getKeysAndIndexes),
+	/// at least inside the interval between startIndex and endIndex.
+	/// Returns false if the strategy does not support the keys
+	type ISortStrategy = (indexes: number[], startIndex: number, endIndex: number) => boolean;
+
+	// radix sort has to do several passes over all the items, so it's only used for larger sequences
+	const _radixSortThreshold = 1024;
+	// longer strings would need too many passes
+	const _radixSortMaxStringLength = 16;
+	// 16 bit digits, plus one for the end of shorter strings
+	const _radixSortBuckets = 0x10001;
+
+	/// LSD radix sort of the indexes of the items, by all the keys, from the last digit of the last key
+	/// to the first digit of the first key. Like every LSD radix sort it is stable
+	function _radixSort(indexes: number[], keys: any[][], keySelectors: { ascending: boolean, comparer?: IComparer }[]): boolean {
+		const length = indexes.length;
+		if (length < _radixSortThreshold) return false;
+		const digitsPerKey: Uint32Array[][] = [];
+		for (let k = 0; k < keySelectors.length; k++) {
+			// custom comparers might not order the keys like the default comparer
+			if (keySelectors[k].comparer) return false;
+			const digits = _radixDigits(keys[k]);
+			if (!digits) return false;
+			digitsPerKey.push(digits);
+		}
+		let current = indexes;
+		let buffer: number[] = new Array(length);
+		const counts = new Uint32Array(_radixSortBuckets + 1);
+		for (let k = keySelectors.length - 1; k >= 0; k--) {
+			const ascending = keySelectors[k].ascending;
+			const digitsOfKey = digitsPerKey[k];
+			for (let d = digitsOfKey.length - 1; d >= 0; d--) {
+				const digits = digitsOfKey[d];
+				counts.fill(0);
+				for (let i = 0; i < length; i++) {
+					const digit = ascending ? digits[current[i]] : _radixSortBuckets - 1 - digits[current[i]];
+					counts[digit + 1]++;
+				}
+				for (let b = 1; b <= _radixSortBuckets; b++) {
+					counts[b] += counts[b - 1];
+				}
+				for (let i = 0; i < length; i++) {
+					const digit = ascending ? digits[current[i]] : _radixSortBuckets - 1 - digits[current[i]];
+					buffer[counts[digit]++] = current[i];
+				}
+				const temp = current;
+				current = buffer;
+				buffer = temp;
+			}
+		}
+		if (current !== indexes) {
+			for (let i = 0; i < length; i++) {
+				indexes[i] = current[i];
+			}
+		}
+		return true;
+	}
+
+	/// the digits of the keys, from the most significant to the least significant,
+	/// ordered like the default comparer orders the keys. Null if the keys are not all numbers or all short strings
+	function _radixDigits(keys: any[]): Uint32Array[] | null {
+		const length = keys.length;
+		const first = keys[0];
+		if (typeof first === 'number') {
+			let int32 = true;
+			for (let i = 0; i < length; i++) {
+				const key = keys[i];
+				if (typeof key !== 'number') return null;
+				if ((key | 0) !== key) int32 = false;
+			}
+			if (int32) {
+				// flipping the sign bit orders the 32 bit integers as unsigned numbers
+				const high = new Uint32Array(length);
+				const low = new Uint32Array(length);
+				for (let i = 0; i < length; i++) {
+					const value = ((keys[i] | 0) ^ 0x80000000) >>> 0;
+					high[i] = value >>> 16;
+					low[i] = value & 0xFFFF;
+				}
+				return [high, low];
+			}
+			// the bits of a float ordered as unsigned numbers: positive numbers get the sign bit set,
+			// negative numbers get all the bits flipped. NaN is the lowest, like in the default comparer
+			const float = new Float64Array(1);
+			const words = new Uint32Array(float.buffer);
+			float[0] = 1;
+			const highWord = words[1] === 0x3FF00000 ? 1 : 0;
+			const digits = [new Uint32Array(length), new Uint32Array(length), new Uint32Array(length), new Uint32Array(length)];
+			for (let i = 0; i < length; i++) {
+				const key = keys[i];
+				if (key !== key) continue;
+				// -0 is equal to 0
+				float[0] = key === 0 ? 0 : key;
+				let high = words[highWord];
+				let low = words[1 - highWord];
+				if (high & 0x80000000) {
+					high = ~high >>> 0;
+					low = ~low >>> 0;
+				} else {
+					high = (high | 0x80000000) >>> 0;
+				}
+				digits[0][i] = high >>> 16;
+				digits[1][i] = high & 0xFFFF;
+				digits[2][i] = low >>> 16;
+				digits[3][i] = low & 0xFFFF;
+			}
+			return digits;
+		}
+		if (typeof first === 'string') {
+			let maxLength = 0;
+			for (let i = 0; i < length; i++) {
+				const key = keys[i];
+				if (typeof key !== 'string' || key.length > _radixSortMaxStringLength) return null;
+				maxLength = Math.max(maxLength, key.length);
+			}
+			// one digit for each character, 0 after the end of shorter strings so they come first
+			const digits: Uint32Array[] = [];
+			for (let c = 0; c < maxLength; c++) {
+				const digit = new Uint32Array(length);
+				for (let i = 0; i < length; i++) {
+					const key: string = keys[i];
+					if (c < key.length) digit[i] = key.charCodeAt(c) + 1;
+				}
+				digits.push(digit);
+			}
+			return digits;
+		}
+		return null;
+	}
+
 	const _insertionSortThreshold = 64;
 	/// insertion sort is used for small intervals
 	function _insertionsort(arr: any[], leftIndex: number, rightIndex: number, comparer: IComparer) {
@@ -380,6 +985,112 @@ namespace Linqer {
 		}
 	}
 
+	/// incremental Quicksort: partitions the unsorted interval containing the position
+	/// until the item at the position is in its final place.
+	/// The stack holds positions of items in their final place, the unsorted interval ends before the last one
+	function _incrementalQuickSort(items: any[], position: number, left: number, stack: number[], comparer: IComparer) {
+		while (stack[stack.length - 1] !== position) {
+			const right = stack[stack.length - 1] - 1;
+			if (right - left < _insertionSortThreshold) {
+				_insertionsort(items, left, right, comparer);
+				for (let i = right; i >= position; i--) {
+					stack.push(i);
+				}
+				break;
+			}
+			const pivotIndex = _partitionAroundPivot(items, left, right, comparer);
+			if (pivotIndex < position) {
+				// the items before the pivot are not needed
+				left = pivotIndex + 1;
+			} else {
+				stack.push(pivotIndex);
+			}
+		}
+		stack.pop();
+	}
+
+	/// partition around the center value, returning the final position of the pivot
+	function _partitionAroundPivot(items: any[], left: number, right: number, comparer: IComparer): number {
+		_swapArrayItems(items, (left + right) >> 1, right);
+		const pivot = items[right];
+		let index = left;
+		for (let i = left; i < right; i++) {
+			if (comparer(items[i], pivot) < 0) {
+				_swapArrayItems(items, i, index);
+				index++;
+			}
+		}
+		_swapArrayItems(items, index, right);
+		return index;
+	}
+
+	/// Quickselect: moves the item that would be at position k in the sorted array to position k,
+	/// with the smaller items before it and the larger ones after it, in expected O(n) time.
+	/// The comparer should not find any two items equal, like when the original index decides between them
+	function _quickSelect(items: any[], k: number, comparer: IComparer) {
+		let left = 0;
+		let right = items.length - 1;
+		while (left < right) {
+			if (right - left < _insertionSortThreshold) {
+				_insertionsort(items, left, right, comparer);
+				return;
+			}
+			const pivotIndex = _partitionAroundPivot(items, left, right, comparer);
+			if (pivotIndex === k) return;
+			if (pivotIndex < k) {
+				left = pivotIndex + 1;
+			} else {
+				right = pivotIndex - 1;
+			}
+		}
+	}
+
+	/// the first k items of a sequence in the order given by the comparer, in O(n log k) time and O(k) memory.
+	/// A binary heap keeps the largest of the k items found so far at the top
+	function _topK<T>(src: Iterable<T>, k: number, comparer: IComparer<{ item: T, index: number }>): T[] {
+		const heap: { item: T, index: number }[] = [];
+		if (k <= 0) return [];
+		let index = 0;
+		for (const item of src) {
+			const entry = { item, index };
+			index++;
+			if (heap.length < k) {
+				heap.push(entry);
+				_heapSiftUp(heap, heap.length - 1, comparer);
+			} else if (comparer(entry, heap[0]) < 0) {
+				heap[0] = entry;
+				_heapSiftDown(heap, 0, comparer);
+			}
+		}
+		_quickSort(heap, 0, heap.length - 1, comparer);
+		return heap.map(entry => entry.item);
+	}
+
+	/// move an item up the heap while it is larger than its parent
+	function _heapSiftUp(heap: any[], index: number, comparer: IComparer) {
+		while (index > 0) {
+			const parent = (index - 1) >> 1;
+			if (comparer(heap[index], heap[parent]) <= 0) return;
+			_swapArrayItems(heap, index, parent);
+			index = parent;
+		}
+	}
+
+	/// move an item down the heap while it is smaller than one of its children
+	function _heapSiftDown(heap: any[], index: number, comparer: IComparer) {
+		while (true) {
+			const left = 2 * index + 1;
+			if (left >= heap.length) return;
+			const right = left + 1;
+			const child = right < heap.length && comparer(heap[right], heap[left]) > 0
+				? right
+				: left;
+			if (comparer(heap[child], heap[index]) <= 0) return;
+			_swapArrayItems(heap, index, child);
+			index = child;
+		}
+	}
+
 	/// swap two items in an array by index
 	function _swapArrayItems(array: any[], leftIndex: number, rightIndex: number): void {
 		const temp = array[leftIndex];
@@ -442,4 +1153,24 @@ namespace Linqer {
 		}
 		return items;
 	}
+
+	/// stable Quicksort: the indexes of the items are sorted instead,
+	/// with the original position deciding between equal items,
+	/// then the items are rearranged in the resulting order
+	function _stableQuickSort(items: any[], left: number, right: number, comparer: IComparer = _defaultComparer, minIndex: number = 0, maxIndex: number = Number.MAX_SAFE_INTEGER) {
+		if (!items.length) return items;
+		const indexes: number[] = new Array(right - left + 1);
+		for (let i = 0; i < indexes.length; i++) {
+			indexes[i] = left + i;
+		}
+		// the interval is relative to the sorted indexes
+		_quickSort(indexes, 0, indexes.length - 1,
+			(i1: number, i2: number) => comparer(items[i1], items[i2]) || i1 - i2,
+			minIndex - left, maxIndex - left);
+		const copy = items.slice(left, right + 1);
+		for (let i = 0; i < indexes.length; i++) {
+			items[left + i] = copy[indexes[i] - left];
+		}
+		return items;
+	}
 }
\ No newline at end of file
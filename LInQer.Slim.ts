@@ -5,75 +5,77 @@ namespace Linqer {
 	 *
 	 * @export
 	 * @class Enumerable
-	 * @implements {Iterable<any>}
-	 * @implements {IUsesQuickSort}
+	 * @template T the type of the items in the sequence
+	 * @implements {Iterable<T>}
+	 * @implements {IUsesSortMode}
 	 */
-	export class Enumerable implements Iterable<any>, IUsesQuickSort {
-		_src: IterableType;
-		_generator: () => Iterator<any>;
-		_useQuickSort: boolean;
+	export class Enumerable<T = any> implements Iterable<T>, IUsesSortMode {
+		_src: IterableType<T>;
+		_generator: () => Iterator<T>;
+		_sortMode: SortMode;
 		// indicates that count and elementAt functions will not cause iterating the enumerable
 		_canSeek: boolean;
 		_count: null | (() => number);
-		_tryGetAt: null | ((index: number) => { value: any } | null);
+		_tryGetAt: null | ((index: number) => { value: T } | null);
 		// true if the enumerable was iterated at least once
 		_wasIterated: boolean;
+		// the operator that created this enumerable, used by explain
+		_operator: IOperatorInfo | null;
 
 		/**
 		 * sort an array in place using the Enumerable sort algorithm (Quicksort)
+		 * use { stable: true } to keep the original order of equal items
 		 *
 		 * @static
 		 * @memberof Enumerable
 		 */
-		static sort: (arr: any[], comparer?: IComparer) => any[];
+		static sort: <T>(arr: T[], comparer?: IComparer<T>, options?: ISortOptions) => T[];
 		
 		/**
 		 * You should never use this. Instead use Enumerable.from
-		 * @param {IterableType} src
+		 * @param {IterableType<T>} src
 		 * @memberof Enumerable
 		 */
-		constructor(src: IterableType) {
+		constructor(src: IterableType<T>) {
 			_ensureIterable(src);
 			this._src = src;
-			const iteratorFunction: (() => Iterator<any>) = (src as Iterable<any>)[Symbol.iterator];
+			const iteratorFunction: (() => Iterator<T>) = (src as Iterable<T>)[Symbol.iterator];
 			// the generator is either the iterator of the source enumerable
 			// or the generator function that was provided as the source itself
 			if (iteratorFunction) {
 				this._generator = iteratorFunction.bind(src);
 			} else {
-				this._generator = src as (() => Iterator<any>);
+				this._generator = src as (() => Iterator<T>);
 			}
 			// set sorting method on an enumerable and all the derived ones should inherit it
-			// TODO: a better method of doing this
-			this._useQuickSort = (src as IUsesQuickSort)._useQuickSort !== undefined
-				? (src as IUsesQuickSort)._useQuickSort
-				: true;
+			this._sortMode = (src as IUsesSortMode)._sortMode || 'quick';
 			this._canSeek = false;
 			this._count = null;
 			this._tryGetAt = null;
 			this._wasIterated = false;
+			this._operator = null;
 		}
 
 		/**
 		 * Wraps an iterable item into an Enumerable if it's not already one
 		 *
 		 * @static
-		 * @param {IterableType} iterable
-		 * @returns {Enumerable}
+		 * @param {IterableType<T>} iterable
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		static from(iterable: IterableType): Enumerable {
+		static from<T>(iterable: IterableType<T>): Enumerable<T> {
 			if (iterable instanceof Enumerable) return iterable;
-			return new Enumerable(iterable);
+			return new Enumerable<T>(iterable);
 		}
 		
 		/**
 		 * the Enumerable instance exposes the same iterator as the wrapped iterable or generator function 
 		 *
-		 * @returns {Iterator<any>}
+		 * @returns {Iterator<T>}
 		 * @memberof Enumerable
 		 */
-		[Symbol.iterator](): Iterator<any> {
+		[Symbol.iterator](): Iterator<T> {
 			this._wasIterated = true;
 			return this._generator();
 		}
@@ -82,15 +84,15 @@ namespace Linqer {
 		 * returns an empty Enumerable
 		 *
 		 * @static
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		static empty(): Enumerable {
-			const result = new Enumerable([]);
+		static empty<T = any>(): Enumerable<T> {
+			const result = new Enumerable<T>([]);
 			result._count = () => 0;
 			result._tryGetAt = (index: number) => null;
 			result._canSeek = true;
-			return result;
+			return _setOperator(result, 'empty', null, []);
 		}
 
 		/**
@@ -99,10 +101,10 @@ namespace Linqer {
 		 * @static
 		 * @param {number} start
 		 * @param {number} count
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<number>}
 		 * @memberof Enumerable
 		 */
-		static range(start: number, count: number): Enumerable {
+		static range(start: number, count: number): Enumerable<number> {
 			const gen = function* () {
 				for (let i = 0; i < count; i++) {
 					yield start + i;
@@ -115,19 +117,19 @@ namespace Linqer {
 				return null;
 			};
 			result._canSeek = true;
-			return result;
+			return _setOperator(result, 'range', null, [start, count]);
 		}
 
 		/**
 		 *  Generates a sequence that contains one repeated value.
 		 *
 		 * @static
-		 * @param {*} item
+		 * @param {T} item
 		 * @param {number} count
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		static repeat(item: any, count: number): Enumerable {
+		static repeat<T>(item: T, count: number): Enumerable<T> {
 			const gen = function* () {
 				for (let i = 0; i < count; i++) {
 					yield item;
@@ -140,7 +142,42 @@ namespace Linqer {
 				return null;
 			};
 			result._canSeek = true;
-			return result;
+			return _setOperator(result, 'repeat', null, [item, count]);
+		}
+
+		/**
+		 * Creates a resource, then iterates the sequence created from it and disposes the resource when the iteration finishes, fails or is stopped early.
+		 * The resource is created again for every iteration. It is disposed by the disposer function, if provided, or by calling its dispose method
+		 *
+		 * @static
+		 * @param {() => TResource} resourceFactory
+		 * @param {(resource: TResource) => IterableType<T>} sequenceFactory
+		 * @param {(resource: TResource) => void} [disposer]
+		 * @returns {Enumerable<T>}
+		 * @memberof Enumerable
+		 */
+		static using<TResource, T>(resourceFactory: () => TResource, sequenceFactory: (resource: TResource) => IterableType<T>, disposer?: (resource: TResource) => void): Enumerable<T> {
+			_ensureFunction(resourceFactory);
+			_ensureFunction(sequenceFactory);
+			if (disposer) {
+				_ensureFunction(disposer);
+			} else {
+				disposer = resource => {
+					if (resource && typeof (resource as unknown as IDisposable).dispose === 'function') {
+						(resource as unknown as IDisposable).dispose();
+					}
+				};
+			}
+			const gen = function* () {
+				const resource = resourceFactory();
+				try {
+					// yield* closes the inner iterator when this generator is closed
+					yield* Enumerable.from(sequenceFactory(resource));
+				} finally {
+					disposer!(resource);
+				}
+			};
+			return _setOperator(new Enumerable(gen), 'using', null, [resourceFactory, sequenceFactory, disposer]);
 		}
 
 		/**
@@ -155,13 +192,13 @@ namespace Linqer {
 		/**
 		 * Concatenates two sequences by appending iterable to the existing one.
 		 *
-		 * @param {IterableType} iterable
-		 * @returns {Enumerable}
+		 * @param {IterableType<T>} iterable
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		concat(iterable: IterableType): Enumerable {
+		concat(iterable: IterableType<T>): Enumerable<T> {
 			_ensureIterable(iterable);
-			const self: Enumerable = this;
+			const self: Enumerable<T> = this;
 			// the generator will iterate the enumerable first, then the iterable that was given as a parameter
 			// this will be able to seek if both the original and the iterable derived enumerable can seek
 			// the indexing function will get items from the first and then second enumerable without iteration
@@ -184,17 +221,29 @@ namespace Linqer {
 					return self._tryGetAt!(index) || other._tryGetAt!(index - self.count());
 				};
 			}
-			return result;
+			return _setOperator(result, 'concat', this, [iterable], [other]);
 		}
 
 		
 		/**
-		 * Returns the number of elements in a sequence.
+		 * Returns the number of elements in a sequence or, if a condition is provided, the number of elements that satisfy it.
+		 * Without a condition the count is computed without iterating when possible.
 		 *
+		 * @param {IFilter<T>} [condition]
 		 * @returns {number}
 		 * @memberof Enumerable
 		 */
-		count(): number {
+		count(condition?: IFilter<T>): number {
+			if (condition) {
+				_ensureFunction(condition);
+				let count = 0;
+				let index = 0;
+				for (const item of this) {
+					if (condition(item, index)) count++;
+					index++;
+				}
+				return count;
+			}
 			_ensureInternalCount(this);
 			return this._count!();
 		}
@@ -204,12 +253,12 @@ namespace Linqer {
 		 * Returns distinct elements from a sequence.
 		 * WARNING: using a comparer makes this slower. Not specifying it uses a Set to determine distinctiveness.
 		 *
-		 * @param {IEqualityComparer} [equalityComparer=EqualityComparer.default]
-		 * @returns {Enumerable}
+		 * @param {IEqualityComparer<T>} [equalityComparer=EqualityComparer.default]
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		distinct(equalityComparer: IEqualityComparer = EqualityComparer.default): Enumerable {
-			const self: Enumerable = this;
+		distinct(equalityComparer: IEqualityComparer<T> = EqualityComparer.default): Enumerable<T> {
+			const self: Enumerable<T> = this;
 			// if the comparer function is not provided, a Set will be used to quickly determine distinctiveness
 			const gen = equalityComparer === EqualityComparer.default
 				? function* () {
@@ -225,7 +274,7 @@ namespace Linqer {
 				// otherwise values will be compared with previous values ( O(n^2) )
 				// use distinctByHash in Linqer.extra to use a hashing function ( O(n log n) )
 				: function* () {
-					const values = [];
+					const values: T[] = [];
 					for (const item of self) {
 						let unique = true;
 						for (let i=0; i<values.length; i++) {
@@ -238,7 +287,10 @@ namespace Linqer {
 						values.push(item);
 					}
 				};
-			return new Enumerable(gen);
+			return _setOperator(new Enumerable(gen), 'distinct', this, [equalityComparer], [],
+				equalityComparer === EqualityComparer.default
+					? undefined
+					: 'O(n^2): each item is compared with all the distinct items found before it. Use distinctBy or distinctByHash instead');
 		}
 
 		
@@ -246,10 +298,10 @@ namespace Linqer {
 		 * Returns the element at a specified index in a sequence.
 		 *
 		 * @param {number} index
-		 * @returns {*}
+		 * @returns {T}
 		 * @memberof Enumerable
 		 */
-		elementAt(index: number): any {
+		elementAt(index: number): T {
 			_ensureInternalTryGetAt(this);
 			const result = this._tryGetAt!(index);
 			if (!result) throw new Error('Index out of range');
@@ -261,10 +313,10 @@ namespace Linqer {
 		 * Returns the element at a specified index in a sequence or undefined if the index is out of range.
 		 *
 		 * @param {number} index
-		 * @returns {(any | undefined)}
+		 * @returns {(T | undefined)}
 		 * @memberof Enumerable
 		 */
-		elementAtOrDefault(index: number): any | undefined {
+		elementAtOrDefault(index: number): T | undefined {
 			_ensureInternalTryGetAt(this);
 			const result = this._tryGetAt!(index);
 			if (!result) return undefined;
@@ -273,86 +325,123 @@ namespace Linqer {
 
 		
 		/**
-		 * Returns the first element of a sequence.
+		 * Returns the first element of a sequence or, if a condition is provided, the first element that satisfies it.
 		 *
-		 * @returns {*}
+		 * @param {IFilter<T>} [condition]
+		 * @returns {T}
 		 * @memberof Enumerable
 		 */
-		first(): any {
-			return this.elementAt(0);
+		first(condition?: IFilter<T>): T {
+			if (!condition) return this.elementAt(0);
+			const result = this._tryFindFirst(condition);
+			if (!result) throw new Error('Sequence contains no matching element');
+			return result.value;
 		}
 
 		
 		/**
-		 * Returns the first element of a sequence, or a default value if no element is found.
+		 * Returns the first element of a sequence (that satisfies the condition, if provided), or a default value if no element is found.
 		 *
-		 * @returns {(any | undefined)}
+		 * @param {IFilter<T>} [condition]
+		 * @param {T} [defaultValue] the value returned when no element is found, undefined if not specified
+		 * @returns {(T | undefined)}
 		 * @memberof Enumerable
 		 */
-		firstOrDefault(): any | undefined {
-			return this.elementAtOrDefault(0);
+		firstOrDefault(): T | undefined;
+		firstOrDefault(condition: IFilter<T> | null | undefined): T | undefined;
+		firstOrDefault(condition: IFilter<T> | null | undefined, defaultValue: T): T;
+		firstOrDefault(condition?: IFilter<T> | null, defaultValue?: T): T | undefined {
+			let result: { value: T } | null;
+			if (condition) {
+				result = this._tryFindFirst(condition);
+			} else {
+				_ensureInternalTryGetAt(this);
+				result = this._tryGetAt!(0);
+			}
+			return result ? result.value : defaultValue;
 		}
 
 		
 		/**
-		 * Returns the last element of a sequence.
+		 * Returns the last element of a sequence or, if a condition is provided, the last element that satisfies it.
 		 *
-		 * @returns {*}
+		 * @param {IFilter<T>} [condition]
+		 * @returns {T}
 		 * @memberof Enumerable
 		 */
-		last(): any {
-			_ensureInternalTryGetAt(this);
-			// if this cannot seek, getting the last element requires iterating the whole thing
-			if (!this._canSeek) {
-				let result = null;
-				let found = false;
-				for (const item of this) {
-					result = item;
-					found = true;
-				}
-				if (found) return result;
-				throw new Error('The enumeration is empty');
-			}
-			// if this can seek, then just go directly at the last element
-			const count = this.count();
-			return this.elementAt(count - 1);
+		last(condition?: IFilter<T>): T {
+			const result = this._tryFindLast(condition);
+			if (result) return result.value;
+			throw new Error(condition ? 'Sequence contains no matching element' : 'The enumeration is empty');
 		}
 
 		
 		/**
-		 * Returns the last element of a sequence, or undefined if no element is found.
+		 * Returns the last element of a sequence (that satisfies the condition, if provided), or a default value if no element is found.
 		 *
-		 * @returns {(any | undefined)}
+		 * @param {IFilter<T>} [condition]
+		 * @param {T} [defaultValue] the value returned when no element is found, undefined if not specified
+		 * @returns {(T | undefined)}
 		 * @memberof Enumerable
 		 */
-		lastOrDefault(): any | undefined {
+		lastOrDefault(): T | undefined;
+		lastOrDefault(condition: IFilter<T> | null | undefined): T | undefined;
+		lastOrDefault(condition: IFilter<T> | null | undefined, defaultValue: T): T;
+		lastOrDefault(condition?: IFilter<T> | null, defaultValue?: T): T | undefined {
+			const result = this._tryFindLast(condition);
+			return result ? result.value : defaultValue;
+		}
+
+		// returns the first item satisfying the condition, wrapped as { value }, or null if none found
+		private _tryFindFirst(condition: IFilter<T>): { value: T } | null {
+			_ensureFunction(condition);
+			let index = 0;
+			for (const item of this) {
+				if (condition(item, index)) return { value: item };
+				index++;
+			}
+			return null;
+		}
+
+		// returns the last item (satisfying the condition, if provided), wrapped as { value }, or null if none found
+		private _tryFindLast(condition?: IFilter<T> | null): { value: T } | null {
+			if (condition) _ensureFunction(condition);
 			_ensureInternalTryGetAt(this);
+			// if this cannot seek, getting the last element requires iterating the whole thing
 			if (!this._canSeek) {
-				let result = undefined;
+				let result: { value: T } | null = null;
+				let index = 0;
 				for (const item of this) {
-					result = item;
+					if (!condition || condition(item, index)) result = { value: item };
+					index++;
 				}
 				return result;
 			}
+			// if this can seek, then just go directly at the last element and scan backwards
 			const count = this.count();
-			return this.elementAtOrDefault(count - 1);
+			if (!condition) return this._tryGetAt!(count - 1);
+			for (let index = count - 1; index >= 0; index--) {
+				const result = this._tryGetAt!(index);
+				if (result && condition(result.value, index)) return result;
+			}
+			return null;
 		}
 
 		/**
 		 * Returns the count, minimum and maximum value in a sequence of values.
 		 * A custom function can be used to establish order (the result 0 means equal, 1 means larger, -1 means smaller)
 		 *
-		 * @param {IComparer} [comparer]
-		 * @returns {{ count: number, min: any, max: any }}
+		 * @param {IComparer<T>} [comparer]
+		 * @returns {{ count: number, min: T | undefined, max: T | undefined }}
 		 * @memberof Enumerable
 		 */
-		stats(comparer?: IComparer): { count: number, min: any, max: any } {
+		stats(comparer?: IComparer<T>): { count: number, min: T | undefined, max: T | undefined } {
 			if (comparer) {
 				_ensureFunction(comparer);
 			} else {
 				comparer = _defaultComparer;
 			}
-			const agg = {
+			const agg: { count: number, min: T | undefined, max: T | undefined } = {
 				count: 0,
 				min: undefined,
 				max: undefined
@@ -369,11 +458,11 @@ namespace Linqer {
 		 *  Returns the minimum value in a sequence of values.
 		 *  A custom function can be used to establish order (the result 0 means equal, 1 means larger, -1 means smaller)		
 		 *
-		 * @param {IComparer} [comparer]
-		 * @returns {*}
+		 * @param {IComparer<T>} [comparer]
+		 * @returns {(T | undefined)}
 		 * @memberof Enumerable
 		 */
-		min(comparer?: IComparer): any {
+		min(comparer?: IComparer<T>): T | undefined {
 			const stats = this.stats(comparer);
 			return stats.count === 0
 				? undefined
@@ -385,11 +474,11 @@ namespace Linqer {
 		 *  Returns the maximum value in a sequence of values.
 		 *  A custom function can be used to establish order (the result 0 means equal, 1 means larger, -1 means smaller)
 		 *
-		 * @param {IComparer} [comparer]
-		 * @returns {*}
+		 * @param {IComparer<T>} [comparer]
+		 * @returns {(T | undefined)}
 		 * @memberof Enumerable
 		 */
-		max(comparer?: IComparer): any {
+		max(comparer?: IComparer<T>): T | undefined {
 			const stats = this.stats(comparer);
 			return stats.count === 0
 				? undefined
@@ -400,13 +489,13 @@ namespace Linqer {
 		/**
 		 * Projects each element of a sequence into a new form.
 		 *
-		 * @param {ISelector} selector
-		 * @returns {Enumerable}
+		 * @param {ISelector<T, TResult>} selector
+		 * @returns {Enumerable<TResult>}
 		 * @memberof Enumerable
 		 */
-		select(selector: ISelector): Enumerable {
+		select<TResult>(selector: ISelector<T, TResult>): Enumerable<TResult> {
 			_ensureFunction(selector);
-			const self: Enumerable = this;
+			const self: Enumerable<T> = this;
 			// the generator is applying the selector on all the items of the enumerable
 			// the count of the resulting enumerable is the same as the original's
 			// the indexer is the same as that of the original, with the selector applied on the value
@@ -417,7 +506,7 @@ namespace Linqer {
 					index++;
 				}
 			};
-			const result = new Enumerable(gen);
+			const result = new Enumerable<TResult>(gen);
 			_ensureInternalCount(this);
 			result._count = this._count;
 			_ensureInternalTryGetAt(self);
@@ -427,7 +516,7 @@ namespace Linqer {
 				if (!res) return res;
 				return { value: selector(res.value) };
 			};
-			return result;
+			return _setOperator(result, 'select', this, [selector]);
 		}
 
 		
@@ -435,11 +524,11 @@ namespace Linqer {
 		 * Bypasses a specified number of elements in a sequence and then returns the remaining elements.
 		 *
 		 * @param {number} nr
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		skip(nr: number): Enumerable {
-			const self: Enumerable = this;
+		skip(nr: number): Enumerable<T> {
+			const self: Enumerable<T> = this;
 			// the generator just enumerates the first nr numbers then starts yielding values
 			// the count is the same as the original enumerable, minus the skipped items and at least 0
 			// the indexer is the same as for the original, with an offset
@@ -459,7 +548,7 @@ namespace Linqer {
 			_ensureInternalTryGetAt(this);
 			result._canSeek = this._canSeek;
 			result._tryGetAt = index => self._tryGetAt!(index + nr);
-			return result;
+			return _setOperator(result, 'skip', this, [nr]);
 		}
 		
 		
@@ -471,20 +560,29 @@ namespace Linqer {
 		 * @param items 
 		 * @returns splice 
 		 */
-		splice(start: number, howmany: number, ...newItems:any[]) : Enumerable {
+		splice(start: number, howmany: number, ...newItems:T[]) : Enumerable<T> {
 			// tried to define length and splice so that this is seen as an Array-like object, 
 			// but it doesn't work on properties. length needs to be a field.
-			return this.take(start).concat(newItems).concat(this.skip(start+howmany));
+			const result = this.take(start).concat(newItems).concat(this.skip(start+howmany));
+			return _setOperator(result, 'splice', this, [start, howmany, ...newItems]);
 		}
 
 		/**
-		 * Computes the sum of a sequence of numeric values.
+		 * Computes the sum of a sequence of numeric values, optionally returned by a selector.
+		 * BigInt values are summed as BigInt.
 		 *
+		 * @param {ISelector<T, number>} [selector]
+		 * @param {ISumOptions} [options] compensated summation and what to do with values that are not numbers
 		 * @returns {(number | undefined)}
 		 * @memberof Enumerable
 		 */
-		sum(): number | undefined {
-			const stats = this.sumAndCount();
+		sum(this: Enumerable<number>, selector?: null, options?: ISumOptions): number | undefined;
+		sum(this: Enumerable<bigint>, selector?: null, options?: ISumOptions): bigint | undefined;
+		sum(selector: ISelector<T, number>, options?: ISumOptions): number | undefined;
+		sum(selector: ISelector<T, bigint>, options?: ISumOptions): bigint | undefined;
+		sum(selector?: ISelector<T, number> | null, options?: ISumOptions): number | undefined;
+		sum(selector?: ISelector<T> | null, options?: ISumOptions): any {
+			const stats = this.sumAndCount(selector, options);
 			return stats.count === 0
 				? undefined
 				: stats.sum;
@@ -492,22 +590,67 @@ namespace Linqer {
 
 		
 		/**
-		 * Computes the sum and count of a sequence of numeric values.
+		 * Computes the sum and count of a sequence of numeric values, optionally returned by a selector.
+		 * BigInt values are summed as BigInt.
 		 *
+		 * @param {ISelector<T, number>} [selector]
+		 * @param {ISumOptions} [options] compensated summation and what to do with values that are not numbers
 		 * @returns {{ sum: number, count: number }}
 		 * @memberof Enumerable
 		 */
-		sumAndCount(): { sum: number, count: number } {
-			const agg = {
+		sumAndCount(this: Enumerable<number>, selector?: null, options?: ISumOptions): { sum: number, count: number };
+		sumAndCount(this: Enumerable<bigint>, selector?: null, options?: ISumOptions): { sum: bigint, count: number };
+		sumAndCount(selector: ISelector<T, number>, options?: ISumOptions): { sum: number, count: number };
+		sumAndCount(selector: ISelector<T, bigint>, options?: ISumOptions): { sum: bigint, count: number };
+		sumAndCount(selector?: ISelector<T, number> | null, options?: ISumOptions): { sum: number, count: number };
+		sumAndCount(selector?: ISelector<T> | null, options?: ISumOptions): { sum: any, count: number } {
+			if (selector) _ensureFunction(selector);
+			const nonNumeric = (options && options.nonNumeric) || 'nan';
+			const compensated = !!(options && options.compensated);
+			const agg: { sum: any, count: number } = {
 				count: 0,
 				sum: 0
 			};
+			let isBigInt = false;
+			let hasNumbers = false;
+			// a value that is not a number was found, so the sum is NaN, whatever the type of the other values
+			let hasNonNumeric = false;
+			// the running compensation of the Kahan-Neumaier summation
+			let compensation = 0;
+			let index = 0;
 			for (const item of this) {
-				agg.sum = agg.count === 0
-					? _toNumber(item)
-					: agg.sum + _toNumber(item);
+				const value = selector
+					? selector(item, index)
+					: item;
+				index++;
+				const type = typeof value;
+				if (type !== 'number' && type !== 'bigint') {
+					if (nonNumeric === 'skip') continue;
+					if (nonNumeric === 'throw') throw new Error('Sequence contains a value that is not a number');
+					hasNonNumeric = true;
+				} else if (!hasNumbers) {
+					agg.sum = value;
+					isBigInt = type === 'bigint';
+					hasNumbers = true;
+				} else if ((type === 'bigint') !== isBigInt) {
+					throw new Error('Cannot mix BigInt and other values');
+				} else if (compensated && !isBigInt) {
+					const total = agg.sum + value;
+					compensation += Math.abs(agg.sum) >= Math.abs(value)
+						? (agg.sum - total) + value
+						: (value - total) + agg.sum;
+					agg.sum = total;
+				} else {
+					agg.sum += value;
+				}
 				agg.count++;
 			}
+			if (hasNonNumeric) {
+				agg.sum = Number.NaN;
+			} else if (compensated && !isBigInt && Number.isFinite(agg.sum)) {
+				// infinite sums would make the compensation NaN
+				agg.sum += compensation;
+			}
 			return agg;
 		}
 
@@ -516,11 +659,11 @@ namespace Linqer {
 		 * Returns a specified number of contiguous elements from the start of a sequence.
 		 *
 		 * @param {number} nr
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		take(nr: number): Enumerable {
-			const self: Enumerable = this;
+		take(nr: number): Enumerable<T> {
+			const self: Enumerable<T> = this;
 			// the generator will stop after nr items yielded
 			// the count is the maximum between the total count and nr
 			// the indexer is the same, as long as it's not higher than nr
@@ -547,23 +690,23 @@ namespace Linqer {
 					return self._tryGetAt!(index);
 				};
 			}
-			return result;
+			return _setOperator(result, 'take', this, [nr]);
 		}
 
 		
 		/**
 		 * creates an array from an Enumerable
 		 *
-		 * @returns {any[]}
+		 * @returns {T[]}
 		 * @memberof Enumerable
 		 */
-		toArray(): any[] {
+		toArray(): T[] {
 			_ensureInternalTryGetAt(this);
 			// this should be faster than Array.from(this)
 			if (this._canSeek) {
 				const arr = new Array(this.count());
 				for (let i = 0; i < arr.length; i++) {
-					arr[i] = this._tryGetAt!(i)?.value;
+					arr[i] = this._tryGetAt!(i)?.value as T;
 				}
 				return arr;
 			}
@@ -571,7 +714,7 @@ namespace Linqer {
 			// by 64 every time it is needed 
 			const minIncrease = 64;
 			let size = 0;
-			const arr = [];
+			const arr: T[] = [];
 			for (const item of this) {
 				if (size === arr.length) {
 					arr.length += minIncrease;
@@ -587,10 +730,10 @@ namespace Linqer {
 		/**
 		 * similar to toArray, but returns a seekable Enumerable (itself if already seekable) that can do count and elementAt without iterating
 		 *
-		 * @returns {Enumerable}
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		toList(): Enumerable {
+		toList(): Enumerable<T> {
 			_ensureInternalTryGetAt(this);
 			if (this._canSeek) return this;
 			return Enumerable.from(this.toArray());
@@ -599,13 +742,13 @@ namespace Linqer {
 		/**
 		 * Filters a sequence of values based on a predicate.
 		 *
-		 * @param {IFilter} condition
-		 * @returns {Enumerable}
+		 * @param {IFilter<T>} condition
+		 * @returns {Enumerable<T>}
 		 * @memberof Enumerable
 		 */
-		where(condition: IFilter): Enumerable {
+		where(condition: IFilter<T>): Enumerable<T> {
 			_ensureFunction(condition);
-			const self: Enumerable = this;
+			const self: Enumerable<T> = this;
 			// cannot imply the count or indexer from the condition
 			// where will have to iterate through the whole thing
 			const gen = function* () {
@@ -617,8 +760,86 @@ namespace Linqer {
 					index++;
 				}
 			};
-			return new Enumerable(gen);
+			return _setOperator(new Enumerable(gen), 'where', this, [condition]);
 		}
+
+		/**
+		 * Describes the operators that created this enumerable, from the source up: the operator name and arguments,
+		 * if it can seek, if count is O(1) or enumerates, which path toArray takes and known quadratic fallbacks
+		 * Nothing is iterated in the process
+		 *
+		 * @returns {IExplainNode}
+		 * @memberof Enumerable
+		 */
+		explain(): IExplainNode {
+			_ensureInternalTryGetAt(this);
+			const op = this._operator;
+			const src = this._src as any;
+			const parent = op
+				? op.parent
+				: (src instanceof Enumerable ? src : null);
+			return {
+				operator: op ? op.name : 'from',
+				args: op ? op.args : [],
+				source: op || parent ? undefined : _describeSource(src),
+				canSeek: this._canSeek,
+				count: _hasFastCount(this) ? 'O(1)' : 'enumerates',
+				toArray: this._canSeek ? 'seek' : 'growth',
+				warnings: op && op.warning ? [op.warning] : [],
+				parent: parent ? parent.explain() : null,
+				inputs: op ? op.inputs.map(input => input.explain()) : []
+			};
+		}
+	}
+
+	/**
+	 * records the operator that created an enumerable, to be used by explain
+	 *
+	 * @param result the enumerable returned by the operator
+	 * @param name the name of the operator
+	 * @param parent the enumerable the operator was called on, null for sources like range
+	 * @param args the arguments of the operator
+	 * @param inputs other enumerables that the count and seeking of the result depend on
+	 * @param warning a description of a known quadratic fallback
+	 * @returns the result
+	 */
+	export function _setOperator<TEnumerable extends Enumerable>(result: TEnumerable, name: string, parent: Enumerable | null, args: any[], inputs: Enumerable[] = [], warning?: string): TEnumerable {
+		result._operator = {
+			name,
+			args,
+			parent,
+			inputs,
+			// only the count functions set by operators can be O(1), the default one enumerates
+			hasCount: !!result._count,
+			warning
+		};
+		return result;
+	}
+
+	// true if the count of the enumerable is computed without enumerating, the same rules as in _ensureInternalCount
+	function _hasFastCount(enumerable: Enumerable): boolean {
+		const op = enumerable._operator;
+		if (op) {
+			return op.hasCount
+				&& (!op.parent || _hasFastCount(op.parent))
+				&& op.inputs.every(_hasFastCount);
+		}
+		const src = enumerable._src as any;
+		if (src instanceof Enumerable) return _hasFastCount(src);
+		return (typeof src !== 'function' && typeof src.length === 'number')
+			|| typeof src.size === 'number';
+	}
+
+	// a short description of the type of the source of an enumerable
+	function _describeSource(src: any): string {
+		if (typeof src === 'function') return 'generator function';
+		if (typeof src === 'string') return 'string';
+		return (src.constructor && src.constructor.name) || typeof src;
+	}
+
+	// closes an iterator that was not iterated to the end, so that the finally blocks of generators are executed
+	export function _closeIterator(iterator: Iterator<any>): void {
+		if (typeof iterator.return === 'function') iterator.return();
 	}
 
 	// throw if src is not a generator function or an iteratable
@@ -633,18 +854,11 @@ namespace Linqer {
 	export function _ensureFunction(f: Function): void {
 		if (!f || typeof f !== 'function') throw new Error('the argument needs to be a function!');
 	}
-	// return Nan if this is not a number
-	// different from Number(obj), which would cast strings to numbers
-	function _toNumber(obj: any): number {
-		return typeof obj === 'number'
-			? obj
-			: Number.NaN;
-	}
 	// return the iterable if already an array or use Array.from to create one
-	export function _toArray(iterable: IterableType) {
+	export function _toArray<T>(iterable: IterableType<T> | null | undefined): T[] {
 		if (!iterable) return [];
 		if (Array.isArray(iterable)) return iterable;
-		return Array.from(iterable);
+		return Array.from(iterable as Iterable<T>);
 	}
 	// if the internal count function is not defined, set it to the most appropriate one
 	export function _ensureInternalCount(enumerable: Enumerable) {
@@ -707,6 +921,48 @@ namespace Linqer {
 			return;
 		}
 		const src = enumerable._src as any;
+		if (ArrayBuffer.isView(src) && !(src instanceof DataView)) {
+			// typed arrays can be accessed by index
+			enumerable._tryGetAt = index => {
+				if (index >= 0 && index < (src as Uint8Array).length) {
+					return { value: (src as any)[index] };
+				}
+				return null;
+			};
+			return;
+		}
+		if (Object.prototype.toString.call(src) === '[object Arguments]') {
+			// the arguments object can be accessed by index and it can contain undefined values
+			enumerable._tryGetAt = index => {
+				if (index >= 0 && index < src.length) {
+					return { value: src[index] };
+				}
+				return null;
+			};
+			return;
+		}
+		if (typeof src.length === 'number' && typeof src.item === 'function') {
+			// DOM-like collections (NodeList, HTMLCollection, etc.) can be accessed by the item function
+			enumerable._tryGetAt = index => {
+				if (index >= 0 && index < src.length) {
+					return { value: src.item(index) };
+				}
+				return null;
+			};
+			return;
+		}
+		if (src instanceof Map || src instanceof Set) {
+			// Maps and Sets cannot be accessed by index, so a snapshot of their items is used instead of iterating for every seek
+			// the snapshot is dropped when the collection is changed by its own methods
+			enumerable._tryGetAt = index => {
+				const snapshot = _getCollectionSnapshot(src);
+				if (index >= 0 && index < snapshot.length) {
+					return { value: snapshot[index] };
+				}
+				return null;
+			};
+			return;
+		}
 		if (typeof enumerable._src !== 'function' && typeof src.length === 'number') {
 			// try to access an object with a defined numeric length by indexing it
 			// might cause false positives
@@ -719,7 +975,6 @@ namespace Linqer {
 			return;
 		}
 		enumerable._canSeek = false;
-		// TODO other specialized types? objects, maps, sets?
 		enumerable._tryGetAt = index => {
 			let x = 0;
 			for (const item of enumerable) {
@@ -730,39 +985,174 @@ namespace Linqer {
 		}
 	}
 
+	// the snapshots of the items of Maps and Sets, shared by all the enumerables over the same collection
+	const _collectionSnapshots = new WeakMap<Map<any, any> | Set<any>, any[]>();
+	// the Maps and Sets whose mutating methods drop their snapshot
+	const _watchedCollections = new WeakSet<Map<any, any> | Set<any>>();
+
+	// the items of a Map or Set as an array, taken again only after the collection was changed
+	function _getCollectionSnapshot(collection: Map<any, any> | Set<any>): any[] {
+		let snapshot = _collectionSnapshots.get(collection);
+		if (!snapshot) {
+			_watchCollection(collection);
+			snapshot = Array.from(collection);
+			_collectionSnapshots.set(collection, snapshot);
+		}
+		return snapshot;
+	}
+
+	// wrap the mutating methods of a Map or Set, so that any change, even one that keeps the same size, drops the snapshot
+	// WARNING: changes made by calling the prototype methods directly (like Map.prototype.set.call(map, ...)) are not detected
+	function _watchCollection(collection: Map<any, any> | Set<any>): void {
+		if (_watchedCollections.has(collection)) return;
+		_watchedCollections.add(collection);
+		const methods = collection instanceof Map
+			? ['set', 'delete', 'clear']
+			: ['add', 'delete', 'clear'];
+		for (const name of methods) {
+			const original: Function = (collection as any)[name];
+			Object.defineProperty(collection, name, {
+				configurable: true,
+				writable: true,
+				value: function (this: any, ...args: any[]) {
+					_collectionSnapshots.delete(collection);
+					return original.apply(this, args);
+				}
+			});
+		}
+	}
+
+	/**
+	 * an object holding a resource that needs to be released, like a file handle or a database cursor
+	 */
+	export interface IDisposable {
+		dispose(): void;
+	}
+
+	/**
+	 * options for Enumerable.sort
+	 */
+	export interface ISortOptions {
+		// keep the original order of items that compare as equal
+		stable?: boolean;
+	}
+
+	/**
+	 * options for sum, sumAndCount and average
+	 */
+	export interface ISumOptions {
+		// use the Kahan-Neumaier compensated summation, more precise for long sequences of floats
+		compensated?: boolean;
+		// what to do with values that are not numbers or BigInts: make the result NaN (default), skip them or throw an error
+		nonNumeric?: 'nan' | 'skip' | 'throw';
+	}
+
+	/**
+	 * the operator that created an enumerable, as recorded by _setOperator
+	 */
+	export interface IOperatorInfo {
+		name: string;
+		args: any[];
+		parent: Enumerable | null;
+		inputs: Enumerable[];
+		hasCount: boolean;
+		warning?: string;
+	}
+
+	/**
+	 * a stage in the tree returned by explain
+	 */
+	export interface IExplainNode {
+		// the name of the operator that created the enumerable, 'from' for wrapped iterables
+		operator: string;
+		args: any[];
+		// the type of the wrapped iterable, for sources
+		source?: string;
+		canSeek: boolean;
+		count: 'O(1)' | 'enumerates';
+		toArray: 'seek' | 'growth' | 'sort';
+		// known quadratic fallbacks
+		warnings: string[];
+		parent: IExplainNode | null;
+		// other enumerables that this stage depends on, like the one concatenated
+		inputs: IExplainNode[];
+	}
+
 	/**
 	 * an extended iterable type that also supports generator functions
 	 */
-	export type IterableType = Iterable<any> | (() => Iterator<any>) | Enumerable;
+	export type IterableType<T = any> = Iterable<T> | (() => Iterator<T>) | Enumerable<T>;
 
 	/**
 	 * A comparer function to be used in sorting
+	 * (the result 0 means equal, a positive number means larger, a negative number means smaller)
 	 */
-	export type IComparer = (item1: any, item2: any) => -1 | 0 | 1;
+	export type IComparer<T = any> = (item1: T, item2: T) => number;
 	/**
 	 * A selector function to be used in mapping
 	 */
-	export type ISelector<T = any> = (item: any, index?: number) => T;
+	export type ISelector<T = any, TResult = any> = (item: T, index?: number) => TResult;
 	/**
 	 * A filter function
 	 */
-	export type IFilter = ISelector<boolean>;
+	export type IFilter<T = any> = ISelector<T, boolean>;
 
 	/**
 	 * The default comparer function between two items
+	 * It is a total order across types: null, undefined, booleans, numbers and BigInts, strings, dates, then other objects
+	 * Values of the same type are compared with > and <, NaN and invalid dates come before the other numbers and dates
 	 * @param item1 
 	 * @param item2 
 	 */
 	export const _defaultComparer: IComparer = (item1, item2) => {
+		// fast path for the most common case
+		const type1 = typeof item1;
+		if ((type1 === 'number' || type1 === 'string') && type1 === typeof item2) {
+			if (item1 > item2) return 1;
+			if (item1 < item2) return -1;
+			if (item1 === item2) return 0;
+			return _compareNaN(item1, item2);
+		}
+		const rank1 = _typeRank(item1);
+		const rank2 = _typeRank(item2);
+		if (rank1 !== rank2) return rank1 - rank2;
+		if (rank1 === 5) {
+			item1 = (item1 as Date).getTime();
+			item2 = (item2 as Date).getTime();
+		}
 		if (item1 > item2) return 1;
 		if (item1 < item2) return -1;
-		return 0;
+		return rank1 === 3 || rank1 === 5
+			? _compareNaN(item1, item2)
+			: 0;
 	};
 
+	// the position of the type of a value in the total order of the default comparer
+	function _typeRank(value: any): number {
+		if (value === null) return 0;
+		switch (typeof value) {
+			case 'undefined': return 1;
+			case 'boolean': return 2;
+			case 'number':
+			case 'bigint': return 3;
+			case 'string': return 4;
+		}
+		if (value instanceof Date) return 5;
+		return 6;
+	}
+
+	// NaN is smaller than any other number and equal to itself
+	function _compareNaN(item1: any, item2: any): number {
+		const isNaN1 = item1 !== item1;
+		const isNaN2 = item2 !== item2;
+		if (isNaN1 === isNaN2) return 0;
+		return isNaN1 ? -1 : 1;
+	}
+
 	/**
 	 * Interface for an equality comparer
 	 */
-	export type IEqualityComparer = (item1: any, item2: any) => boolean;
+	export type IEqualityComparer<T = any> = (item1: T, item2: T) => boolean;
 
 	/**
 	 * Predefined equality comparers
@@ -774,9 +1164,131 @@ namespace Linqer {
 		exact: (item1: any, item2: any) => item1 === item2,
 	};
 
-	// used to access the variable determining if 
-	// an enumerable should be ordered using Quicksort or not
-	interface IUsesQuickSort {
-		_useQuickSort: boolean;
+	/**
+	 * A comparer function that can be composed with other comparers
+	 * It can be used everywhere an IComparer is accepted
+	 */
+	export interface IComposableComparer<T = any> {
+		(item1: T, item2: T): number;
+		/**
+		 * Returns a comparer that compares by the key returned by the key selector when this comparer finds items equal
+		 *
+		 * @template TKey
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {IComposableComparer<T>}
+		 * @memberof IComposableComparer
+		 */
+		thenBy<TKey>(keySelector: ISelector<T, TKey>, comparer?: IComparer<TKey>): IComposableComparer<T>;
+		/**
+		 * Returns a comparer that compares by the key returned by the key selector, in descending order, when this comparer finds items equal
+		 *
+		 * @template TKey
+		 * @param {ISelector<T, TKey>} keySelector
+		 * @param {IComparer<TKey>} [comparer] used to compare the keys, the default comparer if not specified
+		 * @returns {IComposableComparer<T>}
+		 * @memberof IComposableComparer
+		 */
+		thenByDescending<TKey>(keySelector: ISelector<T, TKey>, comparer?: IComparer<TKey>): IComposableComparer<T>;
+		/**
+		 * Returns a comparer with the order reversed. Null keys stay first or last, if nullsFirst or nullsLast were used
+		 *
+		 * @returns {IComposableComparer<T>}
+		 * @memberof IComposableComparer
+		 */
+		reverse(): IComposableComparer<T>;
+		/**
+		 * Returns a comparer that places null and undefined keys of the last key selector first, regardless of the order
+		 *
+		 * @returns {IComposableComparer<T>}
+		 * @memberof IComposableComparer
+		 */
+		nullsFirst(): IComposableComparer<T>;
+		/**
+		 * Returns a comparer that places null and undefined keys of the last key selector last, regardless of the order
+		 *
+		 * @returns {IComposableComparer<T>}
+		 * @memberof IComposableComparer
+		 */
+		nullsLast(): IComposableComparer<T>;
+	}
+
+	// a step of a composable comparer: the keys are compared by the comparer, then the result is reversed if descending
+	// nulls is -1 for null keys first, 1 for null keys last and 0 to let the comparer decide
+	interface IComparerStep {
+		keySelector: ISelector;
+		comparer: IComparer;
+		descending: boolean;
+		nulls: number;
+	}
+
+	// creates a composable comparer from its steps, each method returns a new comparer
+	function _composableComparer(steps: IComparerStep[]): IComposableComparer {
+		const compare = (item1: any, item2: any): number => {
+			for (const step of steps) {
+				const key1 = step.keySelector(item1);
+				const key2 = step.keySelector(item2);
+				if (step.nulls && (key1 == null || key2 == null)) {
+					if (key1 == null && key2 == null) continue;
+					return key1 == null ? step.nulls : -step.nulls;
+				}
+				const result = step.comparer(key1, key2);
+				if (result) return step.descending ? -result : result;
+			}
+			return 0;
+		};
+		const result = compare as IComposableComparer;
+		result.thenBy = (keySelector: ISelector, comparer?: IComparer) =>
+			_composableComparer(steps.concat(_comparerStep(keySelector, comparer, false)));
+		result.thenByDescending = (keySelector: ISelector, comparer?: IComparer) =>
+			_composableComparer(steps.concat(_comparerStep(keySelector, comparer, true)));
+		result.reverse = () =>
+			_composableComparer(steps.map(step => ({ ...step, descending: !step.descending })));
+		result.nullsFirst = () =>
+			_composableComparer(steps.slice(0, -1).concat({ ...steps[steps.length - 1], nulls: -1 }));
+		result.nullsLast = () =>
+			_composableComparer(steps.slice(0, -1).concat({ ...steps[steps.length - 1], nulls: 1 }));
+		return result;
+	}
+
+	function _comparerStep(keySelector: ISelector, comparer: IComparer | undefined, descending: boolean): IComparerStep {
+		_ensureFunction(keySelector);
+		if (comparer) {
+			_ensureFunction(comparer);
+		} else {
+			comparer = _defaultComparer;
+		}
+		return { keySelector, comparer, descending, nulls: 0 };
+	}
+
+	/**
+	 * Predefined and composable comparers
+	 * default is the total order used by the library: null, undefined, booleans, numbers and BigInts, strings, dates, then other objects
+	 * by creates a comparer of keys returned by a key selector, from creates a composable comparer from a comparer function
+	 * nullsFirst and nullsLast create comparers that place null and undefined values first or last
+	 */
+	export const Comparer = {
+		default: _composableComparer([_comparerStep(item => item, undefined, false)]),
+		by: <T = any, TKey = any>(keySelector: ISelector<T, TKey>, comparer?: IComparer<TKey>): IComposableComparer<T> =>
+			_composableComparer([_comparerStep(keySelector, comparer, false)]),
+		byDescending: <T = any, TKey = any>(keySelector: ISelector<T, TKey>, comparer?: IComparer<TKey>): IComposableComparer<T> =>
+			_composableComparer([_comparerStep(keySelector, comparer, true)]),
+		from: <T = any>(comparer: IComparer<T>): IComposableComparer<T> =>
+			_composableComparer([_comparerStep(item => item, comparer, false)]),
+		nullsFirst: <T = any>(comparer?: IComparer<T>): IComposableComparer<T> =>
+			_composableComparer([_comparerStep(item => item, comparer, false)]).nullsFirst(),
+		nullsLast: <T = any>(comparer?: IComparer<T>): IComposableComparer<T> =>
+			_composableComparer([_comparerStep(item => item, comparer, false)]).nullsLast()
+	};
+
+	/**
+	 * the sorting method used to order an enumerable: QuickSort (default), the browser sort,
+	 * a stable QuickSort, radix sort when possible or an incremental QuickSort
+	 */
+	export type SortMode = 'quick' | 'browser' | 'stable' | 'radix' | 'incremental';
+
+	// used to access the variable determining how an enumerable should be ordered
+	interface IUsesSortMode {
+		_sortMode: SortMode;
 	}
 }
\ No newline at end of file
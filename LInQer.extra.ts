@@ -4,19 +4,19 @@
 
 namespace Linqer {
 
-    export interface Enumerable extends Iterable<any> {
+    export interface Enumerable<T = any> extends Iterable<T> {
         /**
          * Returns a randomized sequence of items from an initial source
          * @returns shuffle 
          */
-        shuffle(): Enumerable;
+        shuffle(): Enumerable<T>;
         /**
          * implements random reservoir sampling of k items, with the option to specify a maximum limit for the items
          * @param k 
          * @param limit 
          * @returns sample 
          */
-        randomSample(k: number, limit: number): Enumerable;
+        randomSample(k: number, limit?: number): Enumerable<T>;
         /**
          * Returns the count of the items in a sequence. Depending on the sequence type this iterates through it or not.
          * @returns count 
@@ -25,74 +25,74 @@ namespace Linqer {
         /**
          * returns the distinct values based on a hashing function
          *
-         * @param {ISelector} hashFunc
-         * @returns {Enumerable}
+         * @param {ISelector<T>} hashFunc
+         * @returns {Enumerable<T>}
          * @memberof Enumerable
          */
-        distinctByHash(hashFunc: ISelector): Enumerable;
+        distinctByHash(hashFunc: ISelector<T>): Enumerable<T>;
         /**
          * returns the values that have different hashes from the items of the iterable provided
          *
-         * @param {IterableType} iterable
-         * @param {ISelector} hashFunc
-         * @returns {Enumerable}
+         * @param {IterableType<T>} iterable
+         * @param {ISelector<T>} hashFunc
+         * @returns {Enumerable<T>}
          * @memberof Enumerable
          */
-        exceptByHash(iterable: IterableType, hashFunc: ISelector): Enumerable;
+        exceptByHash(iterable: IterableType<T>, hashFunc: ISelector<T>): Enumerable<T>;
         /**
          * returns the values that have the same hashes as items of the iterable provided
          *
-         * @param {IterableType} iterable
-         * @param {ISelector} hashFunc
-         * @returns {Enumerable}
+         * @param {IterableType<T>} iterable
+         * @param {ISelector<T>} hashFunc
+         * @returns {Enumerable<T>}
          * @memberof Enumerable
          */
-        intersectByHash(iterable: IterableType, hashFunc: ISelector): Enumerable;
+        intersectByHash(iterable: IterableType<T>, hashFunc: ISelector<T>): Enumerable<T>;
         /**
          * returns the index of a value in an ordered enumerable or false if not found
          * WARNING: use the same comparer as the one used to order the enumerable. The algorithm assumes the enumerable is already sorted.
          *
-         * @param {*} value
-         * @param {IComparer} comparer
+         * @param {T} value
+         * @param {IComparer<T>} [comparer]
          * @returns {(number | boolean)}
          * @memberof Enumerable
          */
-        binarySearch(value: any, comparer: IComparer): number | boolean;
+        binarySearch(value: T, comparer?: IComparer<T>): number | boolean;
         /**
          * joins each item of the enumerable with previous items from the same enumerable
          * @param offset 
          * @param zipper 
          * @returns lag 
          */
-        lag(offset: number, zipper: (item1: any, item2: any) => any): Enumerable;
+        lag<TResult = [T, T | undefined]>(offset: number, zipper?: (item1: T, item2: T | undefined) => TResult): Enumerable<TResult>;
         /**
          * joins each item of the enumerable with next items from the same enumerable
          *
          * @param {number} offset
-         * @param {(item1: any, item2: any) => any} zipper
-         * @returns {Enumerable}
+         * @param {(item1: T, item2: T | undefined) => TResult} [zipper]
+         * @returns {Enumerable<TResult>}
          * @memberof Enumerable
          */
-        lead(offset: number, zipper: (item1: any, item2: any) => any): Enumerable;
+        lead<TResult = [T, T | undefined]>(offset: number, zipper?: (item1: T, item2: T | undefined) => TResult): Enumerable<TResult>;
         /**
          * returns an enumerable of at least minLength, padding the end with a value or the result of a function
          *
          * @param {number} minLength
-         * @param {(any | ((index: number) => any))} filler
-         * @returns {Enumerable}
+         * @param {(T | ((index: number) => T))} filler
+         * @returns {Enumerable<T>}
          * @memberof Enumerable
          */
-        padEnd(minLength: number, filler: any | ((index: number) => any)): Enumerable;
+        padEnd(minLength: number, filler: T | ((index: number) => T)): Enumerable<T>;
         /**
          * returns an enumerable of at least minLength, padding the start with a value or the result of a function
          * if the enumerable cannot seek, then it will be iterated minLength time
          *
          * @param {number} minLength
-         * @param {(any | ((index: number) => any))} filler
-         * @returns {Enumerable}
+         * @param {(T | ((index: number) => T))} filler
+         * @returns {Enumerable<T>}
          * @memberof Enumerable
          */
-        padStart(minLength: number, filler: any | ((index: number) => any)): Enumerable;
+        padStart(minLength: number, filler: T | ((index: number) => T)): Enumerable<T>;
     }
 
     /// randomizes the enumerable (partial Fisher-Yates)
@@ -113,7 +113,7 @@ namespace Linqer {
         }
         const result = Enumerable.from(gen);
         result._count = () => self.count();
-        return result;
+        return _setOperator(result, 'shuffle', this, []);
     };
 
     /// implements random reservoir sampling of k items, with the option to specify a maximum limit for the items
@@ -166,7 +166,7 @@ namespace Linqer {
                 }
             }
         };
-        return new Enumerable(gen);
+        return _setOperator(new Enumerable(gen), 'distinctByHash', this, [hashFunc]);
     };
 
     /// returns the values that have different hashes from the items of the iterable provided
@@ -182,7 +182,7 @@ namespace Linqer {
                 }
             }
         };
-        return new Enumerable(gen);
+        return _setOperator(new Enumerable(gen), 'exceptByHash', this, [iterable, hashFunc]);
     };
 
     /// returns the values that have the same hashes as items of the iterable provided
@@ -198,7 +198,7 @@ namespace Linqer {
                 }
             }
         };
-        return new Enumerable(gen);
+        return _setOperator(new Enumerable(gen), 'intersectByHash', this, [iterable, hashFunc]);
     };
 
     /// returns the index of a value in an ordered enumerable or false if not found
@@ -275,7 +275,7 @@ namespace Linqer {
                 return null;
             };
         }
-        return result;
+        return _setOperator(result, 'lag', this, [offset, zipper]);
     }
 
 
@@ -336,7 +336,7 @@ namespace Linqer {
                 return null;
             };
         }
-        return result;
+        return _setOperator(result, 'lead', this, [offset, zipper]);
     }
 
     /// returns an enumerable of at least minLength, padding the end with a value or the result of a function
@@ -383,7 +383,7 @@ namespace Linqer {
                 return null;
             };
         }
-        return result;
+        return _setOperator(result, 'padEnd', this, [minLength, filler]);
     }
 
 
@@ -411,27 +411,32 @@ namespace Linqer {
             const iterator = self[Symbol.iterator]();
             let flushed = false;
             let done = false;
-            do {
-                const val = iterator.next();
-                done = !!val.done;
-                if (!done) {
-                    buffer[index] = val.value;
-                    index++;
-                }
-                if (flushed && !done) {
-                    yield val.value;
-                } else {
-                    if (done || index === minLength) {
-                        for (let i = 0; i < minLength - index; i++) {
-                            yield fillerFunc(i);
-                        }
-                        for (let i = 0; i < index; i++) {
-                            yield buffer[i];
+            try {
+                do {
+                    const val = iterator.next();
+                    done = !!val.done;
+                    if (!done) {
+                        buffer[index] = val.value;
+                        index++;
+                    }
+                    if (flushed && !done) {
+                        yield val.value;
+                    } else {
+                        if (done || index === minLength) {
+                            for (let i = 0; i < minLength - index; i++) {
+                                yield fillerFunc(i);
+                            }
+                            for (let i = 0; i < index; i++) {
+                                yield buffer[i];
+                            }
+                            flushed = true;
                         }
-                        flushed = true;
                     }
-                }
-            } while (!done);
+                } while (!done);
+            } finally {
+                // stopping the iteration early closes the iterator of the original enumerable
+                if (!done) _closeIterator(iterator);
+            }
         };
         const result = new Enumerable(gen);
         // count is the max of minLength and the original count
@@ -455,6 +460,6 @@ namespace Linqer {
                 return self._tryGetAt!(index-delta);
             };
         }
-        return result;
+        return _setOperator(result, 'padStart', this, [minLength, filler]);
     }
 }
@@ -0,0 +1,294 @@
+/// <reference path="./LInQer.Slim.ts" />
+/// <reference path="./LInQer.Enumerable.ts" />
+
+namespace Linqer {
+
+    export interface Enumerable<T = any> extends Iterable<T> {
+        /**
+         * Computes the variance of a sequence of numeric values in a single pass (Welford's algorithm)
+         *
+         * @param {ISelector<T, number>} [selector]
+         * @param {VarianceKind} [kind='population'] population (divided by count) or sample (divided by count - 1)
+         * @param {IStatisticsOptions} [options] what to do with values that are not numbers
+         * @returns {(number | undefined)} undefined for an empty sequence or a sample of one value
+         * @memberof Enumerable
+         */
+        variance(selector?: ISelector<T, number> | null, kind?: VarianceKind, options?: IStatisticsOptions): number | undefined;
+        /**
+         * Computes the standard deviation of a sequence of numeric values in a single pass (Welford's algorithm)
+         *
+         * @param {ISelector<T, number>} [selector]
+         * @param {VarianceKind} [kind='population'] population (divided by count) or sample (divided by count - 1)
+         * @param {IStatisticsOptions} [options] what to do with values that are not numbers
+         * @returns {(number | undefined)} undefined for an empty sequence or a sample of one value
+         * @memberof Enumerable
+         */
+        stdDev(selector?: ISelector<T, number> | null, kind?: VarianceKind, options?: IStatisticsOptions): number | undefined;
+        /**
+         * Returns the most frequent value of a sequence, the first one found if several are just as frequent
+         *
+         * @param {ISelector<T, TValue>} [selector]
+         * @returns {(TValue | undefined)} undefined for an empty sequence
+         * @memberof Enumerable
+         */
+        mode<TValue = T>(selector?: ISelector<T, TValue> | null): TValue | undefined;
+        /**
+         * Returns how many times each value occurs in a sequence, in the order the values are first found
+         *
+         * @param {ISelector<T, TValue>} [selector]
+         * @returns {Map<TValue, number>}
+         * @memberof Enumerable
+         */
+        frequencies<TValue = T>(selector?: ISelector<T, TValue> | null): Map<TValue, number>;
+        /**
+         * Counts the numeric values of a sequence in buckets.
+         * For a number of buckets, the interval between the minimum and the maximum value is divided in buckets of equal width.
+         * For an array of ascending boundaries, each two consecutive ones delimit a bucket and values outside them are not counted.
+         * A bucket includes its minimum and excludes its maximum, except for the last one, which includes both.
+         * If all the values are equal, there is a single bucket holding all of them. NaN values are not counted
+         *
+         * @param {(number | number[])} bucketCountOrBoundaries
+         * @param {ISelector<T, number>} [selector]
+         * @param {IStatisticsOptions} [options] what to do with values that are not numbers
+         * @returns {IHistogramBucket[]}
+         * @memberof Enumerable
+         */
+        histogram(bucketCountOrBoundaries: number | number[], selector?: ISelector<T, number> | null, options?: IStatisticsOptions): IHistogramBucket[];
+        /**
+         * Computes all the statistics of a sequence of numeric values at once
+         *
+         * @param {ISelector<T, number>} [selector]
+         * @param {(number | number[])} [bucketCountOrBoundaries=10] for the histogram
+         * @param {IStatisticsOptions} [options] what to do with values that are not numbers
+         * @returns {IDescription}
+         * @memberof Enumerable
+         */
+        describe(selector?: ISelector<T, number> | null, bucketCountOrBoundaries?: number | number[], options?: IStatisticsOptions): IDescription;
+    }
+
+    /**
+     * population variance divides by the count of values, sample variance by the count minus one
+     */
+    export type VarianceKind = 'population' | 'sample';
+
+    /**
+     * options for variance, stdDev, histogram and describe
+     */
+    export interface IStatisticsOptions {
+        // what to do with values that are not numbers, like sum does: make the result NaN (default), skip them or throw an error
+        nonNumeric?: 'nan' | 'skip' | 'throw';
+    }
+
+    /**
+     * a bucket of a histogram
+     */
+    export interface IHistogramBucket {
+        min: number;
+        max: number;
+        count: number;
+    }
+
+    /**
+     * the statistics returned by describe
+     */
+    export interface IDescription {
+        count: number;
+        sum: number;
+        mean: number | undefined;
+        min: number | undefined;
+        max: number | undefined;
+        variance: number | undefined;
+        sampleVariance: number | undefined;
+        stdDev: number | undefined;
+        sampleStdDev: number | undefined;
+        mode: number | undefined;
+        frequencies: Map<number, number>;
+        histogram: IHistogramBucket[];
+    }
+
+    /// Computes the variance of a sequence of numeric values in a single pass
+    Enumerable.prototype.variance = function (selector?: ISelector<any, number> | null, kind: VarianceKind = 'population', options?: IStatisticsOptions): number | undefined {
+        const moments = _welford(_numericValues(this, selector, options));
+        return _variance(moments, kind);
+    };
+
+    /// Computes the standard deviation of a sequence of numeric values in a single pass
+    Enumerable.prototype.stdDev = function (selector?: ISelector<any, number> | null, kind: VarianceKind = 'population', options?: IStatisticsOptions): number | undefined {
+        const variance = this.variance(selector, kind, options);
+        return variance === undefined
+            ? undefined
+            : Math.sqrt(variance);
+    };
+
+    /// Returns the most frequent value of a sequence
+    Enumerable.prototype.mode = function (selector?: ISelector | null): any {
+        return _mode(this.frequencies(selector));
+    };
+
+    /// Returns how many times each value occurs in a sequence
+    Enumerable.prototype.frequencies = function (selector?: ISelector | null): Map<any, number> {
+        const result = new Map<any, number>();
+        for (const value of _selectValues(this, selector)) {
+            result.set(value, (result.get(value) || 0) + 1);
+        }
+        return result;
+    };
+
+    /// Counts the numeric values of a sequence in buckets
+    Enumerable.prototype.histogram = function (bucketCountOrBoundaries: number | number[], selector?: ISelector<any, number> | null, options?: IStatisticsOptions): IHistogramBucket[] {
+        return _histogram(Array.from(_numericValues(this, selector, options)), bucketCountOrBoundaries);
+    };
+
+    /// Computes all the statistics of a sequence of numeric values at once
+    Enumerable.prototype.describe = function (selector?: ISelector<any, number> | null, bucketCountOrBoundaries: number | number[] = 10, options?: IStatisticsOptions): IDescription {
+        // the values are only selected once, as the histogram needs them after the minimum and maximum are known
+        const values: number[] = Array.from(_numericValues(this, selector, options));
+        const moments = _welford(values);
+        const frequencies = Enumerable.from(values).frequencies();
+        const variance = _variance(moments, 'population');
+        const sampleVariance = _variance(moments, 'sample');
+        return {
+            count: moments.count,
+            sum: moments.sum,
+            mean: moments.count ? moments.mean : undefined,
+            min: moments.min,
+            max: moments.max,
+            variance: variance,
+            sampleVariance: sampleVariance,
+            stdDev: variance === undefined ? undefined : Math.sqrt(variance),
+            sampleStdDev: sampleVariance === undefined ? undefined : Math.sqrt(sampleVariance),
+            mode: _mode(frequencies),
+            frequencies: frequencies,
+            histogram: _histogram(values, bucketCountOrBoundaries)
+        };
+    };
+
+    /// the items of the enumerable, or the values returned by the selector for them
+    function _selectValues(enumerable: Enumerable, selector?: ISelector | null): Iterable<any> {
+        if (!selector) return enumerable;
+        _ensureFunction(selector);
+        return enumerable.select(selector);
+    }
+
+    /// the values as numbers, handling the ones that are not numbers like sum does:
+    /// they become NaN (default), are skipped or throw an error
+    function* _numericValues(enumerable: Enumerable, selector?: ISelector | null, options?: IStatisticsOptions): Iterable<number> {
+        const nonNumeric = (options && options.nonNumeric) || 'nan';
+        for (const value of _selectValues(enumerable, selector)) {
+            if (typeof value === 'number') {
+                yield value;
+                continue;
+            }
+            if (nonNumeric === 'skip') continue;
+            if (nonNumeric === 'throw') throw new Error('Sequence contains a value that is not a number');
+            yield Number.NaN;
+        }
+    }
+
+    /// Welford's algorithm: the running mean and the sum of squared differences from it,
+    /// which is numerically stable, unlike the difference between the sum of squares and the squared sum
+    function _welford(values: Iterable<number>): { count: number, sum: number, mean: number, m2: number, min: number | undefined, max: number | undefined } {
+        let count = 0;
+        let sum = 0;
+        let mean = 0;
+        let m2 = 0;
+        let min: number | undefined = undefined;
+        let max: number | undefined = undefined;
+        for (const value of values) {
+            count++;
+            sum += value;
+            const delta = value - mean;
+            mean += delta / count;
+            m2 += delta * (value - mean);
+            // NaN makes the minimum and the maximum NaN, like the other results
+            if (value !== value || min === undefined || value < min) min = value;
+            if (value !== value || max === undefined || value > max) max = value;
+        }
+        return { count, sum, mean, m2, min, max };
+    }
+
+    /// the variance from the result of _welford
+    function _variance(moments: { count: number, m2: number }, kind: VarianceKind): number | undefined {
+        switch (kind) {
+            case 'population':
+                return moments.count
+                    ? moments.m2 / moments.count
+                    : undefined;
+            case 'sample':
+                return moments.count > 1
+                    ? moments.m2 / (moments.count - 1)
+                    : undefined;
+            default:
+                throw new Error('Unknown variance kind ' + kind);
+        }
+    }
+
+    /// the most frequent value, the first one found if several are just as frequent
+    function _mode(frequencies: Map<any, number>): any {
+        let result: any = undefined;
+        let maxCount = 0;
+        for (const [value, count] of frequencies) {
+            if (count > maxCount) {
+                maxCount = count;
+                result = value;
+            }
+        }
+        return result;
+    }
+
+    /// counts the values in buckets of equal width or delimited by the boundaries
+    function _histogram(values: number[], bucketCountOrBoundaries: number | number[]): IHistogramBucket[] {
+        let boundaries: number[];
+        if (Array.isArray(bucketCountOrBoundaries)) {
+            boundaries = bucketCountOrBoundaries;
+            if (boundaries.length < 2) throw new Error('boundaries need at least two values');
+            for (let i = 1; i < boundaries.length; i++) {
+                if (!(boundaries[i - 1] < boundaries[i])) throw new Error('boundaries have to be ascending');
+            }
+        } else {
+            const bucketCount = bucketCountOrBoundaries;
+            if (!(bucketCount >= 1) || Math.floor(bucketCount) !== bucketCount) throw new Error('bucketCount has to be a positive integer');
+            // NaN values are not in any bucket, so they don't change the boundaries
+            let min = Number.POSITIVE_INFINITY;
+            let max = Number.NEGATIVE_INFINITY;
+            for (const value of values) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            if (min > max) return [];
+            if (min === max) {
+                // buckets of zero width would be empty, so all the values go in a single one
+                boundaries = [min, max];
+            } else {
+                const width = (max - min) / bucketCount;
+                boundaries = [];
+                for (let i = 0; i < bucketCount; i++) {
+                    boundaries.push(min + i * width);
+                }
+                // the last boundary is the maximum itself, not affected by rounding errors
+                boundaries.push(max);
+            }
+        }
+        const buckets: IHistogramBucket[] = [];
+        for (let i = 1; i < boundaries.length; i++) {
+            buckets.push({ min: boundaries[i - 1], max: boundaries[i], count: 0 });
+        }
+        const last = boundaries.length - 1;
+        for (const value of values) {
+            if (!(value >= boundaries[0] && value <= boundaries[last])) continue;
+            // binary search for the last boundary lower than or equal to the value
+            let low = 0;
+            let high = last;
+            while (high - low > 1) {
+                const middle = (low + high) >> 1;
+                if (boundaries[middle] <= value) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            buckets[low].count++;
+        }
+        return buckets;
+    }
+}
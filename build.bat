@@ -2,6 +2,8 @@
 REM Delete Javascript files as we will generate them now
 DEL LInQer.extra.js
 DEL LInQer.extra.min.js
+DEL LInQer.statistics.js
+DEL LInQer.statistics.min.js
 DEL LInQer.js
 DEL LInQer.min.js
 DEL LInQer.slim.js
@@ -9,6 +11,7 @@ DEL LInQer.slim.min.js
 DEL LInQer.all.js
 
 DEL LInQer.extra.js.map
+DEL LInQer.statistics.js.map
 DEL LInQer.js.map
 DEL LInQer.slim.js.map
 DEL LInQer.all.js.map
@@ -17,6 +20,7 @@ REM Requires npm install typescript -g
 call tsc --p tsconfig.json --sourceMap
 call tsc --p tsconfig.slim.json --sourceMap --noResolve
 call tsc --p tsconfig.extra.json --sourceMap --noResolve
+call tsc --p tsconfig.statistics.json --sourceMap --noResolve
 call tsc --p tsconfig.all.json --sourceMap
 ECHO export = Linqer; >> linqer.all.d.ts
 
@@ -33,3 +37,4 @@ REM Requires npm install terser -g
 call terser --compress --mangle -o LInQer.min.js -- LInQer.js
 call terser --compress --mangle -o LInQer.slim.min.js -- LInQer.slim.js
 call terser --compress --mangle -o LInQer.extra.min.js -- LInQer.extra.js
+call terser --compress --mangle -o LInQer.statistics.min.js -- LInQer.statistics.js
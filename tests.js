@@ -87,6 +87,12 @@ QUnit.test( "Enumerable.any false", function( assert ) {
     const result = Enumerable.from([1,2,3]).any(item=>item>10);
     assert.deepEqual( result,false, "Passed!" );
 });
+QUnit.test( "Enumerable.any no condition", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,3]).any(),true, "Passed!" );
+    assert.deepEqual( Enumerable.from([]).any(),false, "Passed!" );
+    assert.deepEqual( Enumerable.from(function*(){ yield 1; throw new Error('iterated too far'); }).any(),true, "Passed!" );
+    assert.deepEqual( Enumerable.from(function*(){}).any(),false, "Passed!" );
+});
 
 QUnit.test( "Enumerable.append", function( assert ) {
     const result = Enumerable.from([1,2,3]).append(4).toArray();
@@ -105,12 +111,24 @@ QUnit.test( "Enumerable.average not numbers", function( assert ) {
     const result = Enumerable.from([1,'xx2',5]).average();
     assert.deepEqual( result,Number.NaN, "Passed!" );
 });
+QUnit.test( "Enumerable.average with selector and options", function( assert ) {
+    assert.deepEqual( Enumerable.from([{ v: 1 },{ v: 4 }]).average(i=>i.v),2.5, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,'xx2',5]).average(null,{ nonNumeric: 'skip' }),3, "Passed!" );
+    assert.throws( ()=>Enumerable.from([1,'xx2',5]).average(null,{ nonNumeric: 'throw' }), "Passed!" );
+    assert.deepEqual( Enumerable.from([BigInt(1),BigInt(2)]).average(),1.5, "Passed!" );
+});
 
 QUnit.test( "Enumerable.concat", function( assert ) {
     const result = Enumerable.from([1,'xx2',5]).concat([6,7,8]).toArray();
     assert.deepEqual( result,[1,'xx2',5,6,7,8], "Passed!" );
 });
 
+QUnit.test( "Enumerable.chunk", function( assert ) {
+    assert.deepEqual( Enumerable.range(1,7).chunk(3).toArray(),[[1,2,3],[4,5,6],[7]], "Passed!" );
+    assert.deepEqual( Enumerable.from(function*(){ yield* [1,2,3,4]; }).chunk(2).toArray(),[[1,2],[3,4]], "Passed!" );
+    assert.deepEqual( Enumerable.empty().chunk(2).toArray(),[], "Passed!" );
+    assert.throws( ()=>Enumerable.range(1,7).chunk(0), "Passed!" );
+});
 QUnit.test( "Enumerable.contains true", function( assert ) {
     const result = Enumerable.from([1,'xx2',5]).contains(5);
     assert.deepEqual( result,true, "Passed!" );
@@ -124,6 +142,10 @@ QUnit.test( "Enumerable.count array", function( assert ) {
     const result = Enumerable.from([1,'xx2',5]).count();
     assert.deepEqual( result,3, "Passed!" );
 });
+QUnit.test( "Enumerable.count condition", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,3,4,5]).count(item=>item%2==1),3, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3,4,5]).count((item,index)=>index>0),4, "Passed!" );
+});
 QUnit.test( "Enumerable.count Map", function( assert ) {
     const map = new Map();
     map.set(1,2);
@@ -144,6 +166,40 @@ QUnit.test( "Enumerable.count generator function", function( assert ) {
     assert.deepEqual( result,2, "Passed!" );
 });
 
+QUnit.test( "Enumerable.defaultIfEmpty not empty", function( assert ) {
+    const result = Enumerable.from([1,2]).defaultIfEmpty(3).toArray();
+    assert.deepEqual( result,[1,2], "Passed!" );
+});
+QUnit.test( "Enumerable.defaultIfEmpty value", function( assert ) {
+    const result = Enumerable.from([]).defaultIfEmpty(3).toArray();
+    assert.deepEqual( result,[3], "Passed!" );
+});
+QUnit.test( "Enumerable.defaultIfEmpty factory", function( assert ) {
+    const result = Enumerable.from(function*() {}).defaultIfEmpty(()=>({ a: 1 }),{ factory: true }).toArray();
+    assert.deepEqual( result,[{ a: 1 }], "Passed!" );
+});
+QUnit.test( "Enumerable.defaultIfEmpty function value", function( assert ) {
+    const defaultFunc = ()=>0;
+    let result = Enumerable.from([x=>x+1]).defaultIfEmpty(defaultFunc).toArray();
+    assert.deepEqual( result.length,1, "Passed!" );
+    assert.notEqual( result[0],defaultFunc, "Passed!" );
+    result = Enumerable.empty().defaultIfEmpty(defaultFunc).toArray();
+    assert.deepEqual( result,[defaultFunc], "Passed!" );
+    result = Enumerable.range(0,0).defaultIfEmpty(defaultFunc).elementAt(0);
+    assert.deepEqual( result,defaultFunc, "Passed!" );
+});
+QUnit.test( "Enumerable.defaultIfEmpty no default", function( assert ) {
+    const result = Enumerable.empty().defaultIfEmpty().toArray();
+    assert.deepEqual( result,[undefined], "Passed!" );
+});
+QUnit.test( "Enumerable.defaultIfEmpty left outer join", function( assert ) {
+    const result = Enumerable.from([1,2,3])
+                    .groupJoin([{ k: 1, v: 'a' },{ k: 3, v: 'c' }], i=>i, o=>o.k, (i,os)=>({ i, os }))
+                    .selectMany(x=>Enumerable.from(x.os).defaultIfEmpty({ v: null }).select(o=>x.i+':'+o.v))
+                    .toArray();
+    assert.deepEqual( result,['1:a','2:null','3:c'], "Passed!" );
+});
+
 QUnit.test( "Enumerable.distinct", function( assert ) {
     const result = Enumerable.from([1,2,2,3,'3']).distinct().toArray();
     assert.deepEqual( result,[1,2,3,'3'], "Passed!" );
@@ -152,6 +208,10 @@ QUnit.test( "Enumerable.distinct equality comparer", function( assert ) {
     const result = Enumerable.from([1,2,2,3,'3']).distinct((i1,i2)=>+(i1) === +(i2)).toArray();
     assert.deepEqual( result,[1,2,3], "Passed!" );
 });
+QUnit.test( "Enumerable.distinctBy", function( assert ) {
+    const result = Enumerable.from([1,2,2,3,'3','1']).distinctBy(item=>+item).toArray();
+    assert.deepEqual( result,[1,2,3], "Passed!" );
+});
 
 QUnit.test( "Enumerable.elementAt in range array", function( assert ) {
     const result = Enumerable.from([1,2,2,3,'3']).elementAt(3);
@@ -184,6 +244,10 @@ QUnit.test( "Enumerable.except equality comparer", function( assert ) {
     const result = Enumerable.from([1,2,2,3,'3']).except([2,3],(i1,i2)=>+(i1) === +(i2)).toArray();
     assert.deepEqual( result,[1], "Passed!" );
 });
+QUnit.test( "Enumerable.exceptBy", function( assert ) {
+    const result = Enumerable.from([{ id: 1 },{ id: 2 },{ id: 3 }]).exceptBy([2,4],item=>item.id).toArray();
+    assert.deepEqual( result,[{ id: 1 },{ id: 3 }], "Passed!" );
+});
 
 QUnit.test( "Enumerable.first", function( assert ) {
     const result = Enumerable.from([1,2,2,3,'3']).first();
@@ -196,6 +260,18 @@ QUnit.test( "Enumerable.firstOrDefault", function( assert ) {
     const result = Enumerable.from([]).firstOrDefault();
     assert.deepEqual( result,undefined, "Passed!" );
 });
+QUnit.test( "Enumerable.first condition", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,3,4]).first(item=>item%2==0),2, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3,4]).first((item,index)=>index>2),4, "Passed!" );
+    assert.throws(()=>Enumerable.from([1,3]).first(item=>item%2==0), "Passed!" );
+});
+QUnit.test( "Enumerable.firstOrDefault condition and default", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,3,4]).firstOrDefault(item=>item>2),3, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3,4]).firstOrDefault(item=>item>10),undefined, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3,4]).firstOrDefault(item=>item>10,-1),-1, "Passed!" );
+    assert.deepEqual( Enumerable.from([]).firstOrDefault(null,-1),-1, "Passed!" );
+    assert.deepEqual( Enumerable.from([undefined]).firstOrDefault(null,-1),undefined, "Passed!" );
+});
 
 QUnit.test( "Enumerable.groupBy", function( assert ) {
     const result = Enumerable.from([1,2,2,3,'3','sasa','0x4']).groupBy(item=>+(item)>2).toArray();
@@ -207,6 +283,28 @@ QUnit.test( "Enumerable.groupBy", function( assert ) {
 });
 
 
+QUnit.test( "Enumerable.toLookup", function( assert ) {
+    const lookup = Enumerable.from([1,2,3,4,5]).toLookup(i=>i%2);
+    assert.deepEqual( lookup.count(),2, "Passed!" );
+    assert.deepEqual( lookup.has(0),true, "Passed!" );
+    assert.deepEqual( lookup.has(2),false, "Passed!" );
+    assert.deepEqual( lookup.get(1).toArray(),[1,3,5], "Passed!" );
+    assert.deepEqual( lookup.get(2).toArray(),[], "Passed!" );
+    assert.deepEqual( lookup.select(g=>g.key+':'+g.count()).toArray(),['1:3','0:2'], "Passed!" );
+});
+QUnit.test( "Enumerable.toLookup element selector", function( assert ) {
+    const lookup = Enumerable.from([{ k: 'a', v: 1 },{ k: 'b', v: 2 },{ k: 'a', v: 3 }]).toLookup(i=>i.k,i=>i.v);
+    assert.deepEqual( lookup.get('a').toArray(),[1,3], "Passed!" );
+    assert.deepEqual( lookup.first().key,'a', "Passed!" );
+});
+QUnit.test( "Enumerable.toLookup groups only once", function( assert ) {
+    let keyCalls = 0;
+    const lookup = Enumerable.from([1,2,3]).toLookup(i=>{ keyCalls++; return i%2; });
+    lookup.toArray();
+    lookup.get(1).toArray();
+    assert.deepEqual( keyCalls,3, "Passed!" );
+});
+
 QUnit.test( "Enumerable.groupJoin", function( assert ) {
     const result = Enumerable.from([1,2,3,4,37])
                         .groupJoin([10,12,331,13,56,3,22,57,43,467,212],i=>i+'',i=>(i+'').charAt(0),(i1,i2)=>{
@@ -245,6 +343,10 @@ QUnit.test( "Enumerable.intersect equality comparer", function( assert ) {
     const result = Enumerable.from([1,2,2,3,'3']).intersect([2,3,4],(i1,i2)=>+i1 === +i2).toArray();
     assert.deepEqual( result,[2,2,3,'3'], "Passed!" );
 });
+QUnit.test( "Enumerable.intersectBy", function( assert ) {
+    const result = Enumerable.from([{ id: 1 },{ id: 2 },{ id: 3 }]).intersectBy([2,3,4],item=>item.id).toArray();
+    assert.deepEqual( result,[{ id: 2 },{ id: 3 }], "Passed!" );
+});
 
 QUnit.test( "Enumerable.join", function( assert ) {
     const result = Enumerable.from([1,2,3,4,37])
@@ -281,6 +383,25 @@ QUnit.test( "Enumerable.lastOrDefault", function( assert ) {
     const result = Enumerable.from([]).lastOrDefault();
     assert.deepEqual( result,undefined, "Passed!" );
 });
+QUnit.test( "Enumerable.last condition", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,3,4,5]).last(item=>item%2==0),4, "Passed!" );
+    assert.deepEqual( Enumerable.from(function*(){ yield* [1,2,3,4,5]; }).last(item=>item%2==0),4, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3,4,5]).last((item,index)=>index<2),2, "Passed!" );
+    assert.throws(()=>Enumerable.from([1,3]).last(item=>item%2==0), "Passed!" );
+});
+QUnit.test( "Enumerable.last condition scans backwards when seekable", function( assert ) {
+    const checked = [];
+    const result = Enumerable.range(0,10).last(item=>{ checked.push(item); return item<8; });
+    assert.deepEqual( result,7, "Passed!" );
+    assert.deepEqual( checked,[9,8,7], "Passed!" );
+});
+QUnit.test( "Enumerable.lastOrDefault condition and default", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,3,4]).lastOrDefault(item=>item<3),2, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3,4]).lastOrDefault(item=>item>10),undefined, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3,4]).lastOrDefault(item=>item>10,-1),-1, "Passed!" );
+    assert.deepEqual( Enumerable.from(function*(){}).lastOrDefault(null,-1),-1, "Passed!" );
+    assert.deepEqual( Enumerable.from([]).lastOrDefault(null,-1),-1, "Passed!" );
+});
 
 QUnit.test( "Enumerable.longCount empty", function( assert ) {
     const result = Enumerable.from([]).longCount();
@@ -291,6 +412,106 @@ QUnit.test( "Enumerable.longCount array", function( assert ) {
     assert.deepEqual( result,3, "Passed!" );
 });
 
+QUnit.test( "Enumerable.maxBy", function( assert ) {
+    const people = [{ name: 'a', age: 30 },{ name: 'b', age: 40 },{ name: 'c', age: 40 }];
+    assert.deepEqual( Enumerable.from(people).maxBy(p=>p.age),{ name: 'b', age: 40 }, "Passed!" );
+    assert.deepEqual( Enumerable.from(people).maxBy(p=>p.name,(n1,n2)=>n2.localeCompare(n1)),{ name: 'a', age: 30 }, "Passed!" );
+    assert.deepEqual( Enumerable.empty().maxBy(p=>p.age),undefined, "Passed!" );
+});
+QUnit.test( "Enumerable.memoize", function( assert ) {
+    let pulled = 0;
+    const result = Enumerable.from(function*(){ for (let i=0; i<5; i++) { pulled++; yield i; } }).where(x=>x%2==0).memoize();
+    assert.deepEqual( result.first(), 0, "Passed!" );
+    assert.deepEqual( pulled, 1, "Passed!" );
+    assert.deepEqual( result._canSeek, false, "Passed!" );
+    assert.deepEqual( result.count(), 3, "Passed!" );
+    assert.deepEqual( result.toArray(), [0,2,4], "Passed!" );
+    assert.deepEqual( pulled, 1+5, "Passed!" );
+    assert.deepEqual( result._canSeek, true, "Passed!" );
+    assert.deepEqual( result.elementAt(2), 4, "Passed!" );
+    assert.deepEqual( result.explain().canSeek, true, "Passed!" );
+});
+QUnit.test( "Enumerable.memoize concurrent iterations", function( assert ) {
+    let pulled = 0;
+    const result = Enumerable.from(function*(){ for (let i=0; i<4; i++) { pulled++; yield i; } }).share();
+    const iterator1 = result[Symbol.iterator]();
+    const iterator2 = result[Symbol.iterator]();
+    assert.deepEqual( iterator1.next().value, 0, "Passed!" );
+    assert.deepEqual( iterator1.next().value, 1, "Passed!" );
+    assert.deepEqual( iterator2.next().value, 0, "Passed!" );
+    assert.deepEqual( iterator2.next().value, 1, "Passed!" );
+    assert.deepEqual( iterator2.next().value, 2, "Passed!" );
+    assert.deepEqual( iterator1.next().value, 2, "Passed!" );
+    assert.deepEqual( pulled, 3, "Passed!" );
+    assert.deepEqual( result.zip(result).toArray(), [[0,0],[1,1],[2,2],[3,3]], "Passed!" );
+    assert.deepEqual( pulled, 4, "Passed!" );
+});
+QUnit.test( "Enumerable.memoize closes the source when iterations stop early", function( assert ) {
+    let closed = 0;
+    let pulled = 0;
+    const result = Enumerable.from(function*(){
+        try {
+            for (let i=0; i<5; i++) { pulled++; yield i; }
+        } finally {
+            closed++;
+        }
+    }).memoize();
+    assert.deepEqual( result.take(2).toArray(), [0,1], "Passed!" );
+    assert.deepEqual( closed, 1, "Passed!" );
+    const iterator1 = result[Symbol.iterator]();
+    const iterator2 = result[Symbol.iterator]();
+    iterator1.next(); iterator1.next(); iterator1.next();
+    iterator2.next();
+    iterator1.return();
+    assert.deepEqual( closed, 1, "Passed!" );
+    iterator2.return();
+    assert.deepEqual( closed, 2, "Passed!" );
+    assert.deepEqual( result.toArray(), [0,1,2,3,4], "Passed!" );
+    assert.deepEqual( closed, 3, "Passed!" );
+    assert.deepEqual( result.count(), 5, "Passed!" );
+    assert.deepEqual( pulled, 5+2+3, "Passed!" );
+});
+QUnit.test( "Enumerable.memoize closes the source after seeking", function( assert ) {
+    let closed = 0;
+    const result = Enumerable.from(function*(){
+        try {
+            yield 1;
+            yield 2;
+            yield 3;
+        } finally {
+            closed++;
+        }
+    }).memoize();
+    assert.deepEqual( result.first(), 1, "Passed!" );
+    assert.deepEqual( closed, 1, "Passed!" );
+    assert.deepEqual( result.elementAt(1), 2, "Passed!" );
+    assert.deepEqual( closed, 2, "Passed!" );
+    assert.deepEqual( result.elementAt(0), 1, "Passed!" );
+    assert.deepEqual( closed, 2, "Passed!" );
+    assert.deepEqual( result.count(), 3, "Passed!" );
+    assert.deepEqual( closed, 3, "Passed!" );
+    assert.deepEqual( result.toArray(), [1,2,3], "Passed!" );
+    assert.deepEqual( closed, 3, "Passed!" );
+});
+QUnit.test( "Enumerable.memoize seekable source", function( assert ) {
+    const source = Enumerable.range(0,100);
+    const result = source.memoize();
+    assert.deepEqual( result.count(), 100, "Passed!" );
+    assert.deepEqual( source._wasIterated, false, "Passed!" );
+    assert.deepEqual( result.elementAt(10), 10, "Passed!" );
+});
+QUnit.test( "Enumerable.minBy", function( assert ) {
+    const people = [{ name: 'a', age: 30 },{ name: 'b', age: 20 },{ name: 'c', age: 20 }];
+    assert.deepEqual( Enumerable.from(people).minBy(p=>p.age),{ name: 'b', age: 20 }, "Passed!" );
+    assert.deepEqual( Enumerable.empty().minBy(p=>p.age),undefined, "Passed!" );
+});
+QUnit.test( "Enumerable.minBy calls the key selector once per item", function( assert ) {
+    let calls = 0;
+    const result = Enumerable.range(0,10).minBy(i=>{ calls++; return Math.abs(i-4); });
+    assert.deepEqual( result,4, "Passed!" );
+    assert.deepEqual( calls,10, "Passed!" );
+});
+
 QUnit.test( "Enumerable.max numbers", function( assert ) {
     const result = Enumerable.from([3,5,1,2,56,2,-100,43]).max();
     assert.deepEqual( result,56, "Passed!" );
@@ -404,6 +625,18 @@ QUnit.test( "Enumerable.singleOrDefault empty", function( assert ) {
 QUnit.test( "Enumerable.singleOrDefault multiple throws", function( assert ) {
     assert.throws( ()=>Enumerable.from([1,2]).singleOrDefault(), "Passed!" );
 });
+QUnit.test( "Enumerable.single condition", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,3]).single(item=>item>2),3, "Passed!" );
+    assert.throws( ()=>Enumerable.from([1,2,3]).single(item=>item>3), "Passed!" );
+    assert.throws( ()=>Enumerable.from([1,2,3]).single(item=>item>1), "Passed!" );
+});
+QUnit.test( "Enumerable.singleOrDefault condition and default", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,3]).singleOrDefault(item=>item>2),3, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3]).singleOrDefault(item=>item>3),undefined, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,3]).singleOrDefault(item=>item>3,0),0, "Passed!" );
+    assert.deepEqual( Enumerable.empty().singleOrDefault(null,0),0, "Passed!" );
+    assert.throws( ()=>Enumerable.from([1,2,3]).singleOrDefault(item=>item>1,0), "Passed!" );
+});
 
 QUnit.test( "Enumerable.skip", function( assert ) {
     const result = Enumerable.from([1,2,3,4,5]).skip(2).toArray();
@@ -462,6 +695,38 @@ QUnit.test( "Enumerable.sum numbers with some strings", function( assert ) {
     const result = Enumerable.from([1,2,3,4,5,'6']).sum();
     assert.deepEqual( result,Number.NaN, "Passed!" );
 });
+QUnit.test( "Enumerable.sum with selector", function( assert ) {
+    const result = Enumerable.from([{ v: 1 },{ v: 2 },{ v: 3 }]).sum(i=>i.v);
+    assert.deepEqual( result,6, "Passed!" );
+    assert.deepEqual( Enumerable.from([{ v: 1 },{ v: 2 }]).sumAndCount(i=>i.v*10),{ sum: 30, count: 2 }, "Passed!" );
+    assert.deepEqual( Enumerable.from([]).sum(i=>i.v),undefined, "Passed!" );
+});
+QUnit.test( "Enumerable.sum non numeric values", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2,'3',null,4]).sumAndCount(null,{ nonNumeric: 'skip' }),{ sum: 7, count: 3 }, "Passed!" );
+    assert.deepEqual( Enumerable.from(['3']).sum(null,{ nonNumeric: 'skip' }),undefined, "Passed!" );
+    assert.throws( ()=>Enumerable.from([1,2,'3']).sum(null,{ nonNumeric: 'throw' }), "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2,'3']).sum(null,{ nonNumeric: 'nan' }),Number.NaN, "Passed!" );
+});
+QUnit.test( "Enumerable.sum compensated", function( assert ) {
+    const values = [1,1e100,1,-1e100];
+    assert.deepEqual( Enumerable.from(values).sum(),0, "Passed!" );
+    assert.deepEqual( Enumerable.from(values).sum(null,{ compensated: true }),2, "Passed!" );
+    const tenths = Enumerable.repeat(0.1,10);
+    assert.deepEqual( tenths.sum(null,{ compensated: true }),1, "Passed!" );
+    assert.deepEqual( tenths.average(null,{ compensated: true }),0.1, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,Infinity,1]).sum(null,{ compensated: true }),Infinity, "Passed!" );
+    assert.deepEqual( Enumerable.from([Infinity,-Infinity]).sum(null,{ compensated: true }),Number.NaN, "Passed!" );
+});
+QUnit.test( "Enumerable.sum BigInt", function( assert ) {
+    const big = BigInt(Number.MAX_SAFE_INTEGER);
+    assert.deepEqual( Enumerable.from([big,big,BigInt(2)]).sum(),big*BigInt(2)+BigInt(2), "Passed!" );
+    assert.deepEqual( Enumerable.from([{ v: BigInt(3) },{ v: BigInt(4) }]).sum(i=>i.v,{ compensated: true }),BigInt(7), "Passed!" );
+    assert.throws( ()=>Enumerable.from([BigInt(1),2]).sum(), "Passed!" );
+    assert.deepEqual( Enumerable.from([BigInt(1),'x',BigInt(2)]).sum(null,{ nonNumeric: 'skip' }),BigInt(3), "Passed!" );
+    assert.deepEqual( Enumerable.from([BigInt(1),'x',BigInt(2)]).sum(),Number.NaN, "Passed!" );
+    assert.deepEqual( Enumerable.from(['x',BigInt(2)]).sumAndCount(),{ sum: Number.NaN, count: 2 }, "Passed!" );
+    assert.throws( ()=>Enumerable.from([BigInt(1),'x']).sum(null,{ nonNumeric: 'throw' }),/not a number/, "Passed!" );
+});
 
 QUnit.test( "Enumerable.take", function( assert ) {
     const result = Enumerable.from([1,2,3,4,5]).take(2).toArray();
@@ -491,10 +756,72 @@ QUnit.test( "Enumerable.toMap", function( assert ) {
     const result = Enumerable.from([1,2,3,4,5]).toMap(item=>item,item=>item*item);
     assert.deepEqual( result,new Map([[1,1],[2,4],[3,9],[4,16],[5,25]]), "Passed!" );
 });
+QUnit.test( "Enumerable.toMap duplicates keepLast by default", function( assert ) {
+    const result = Enumerable.from([1,2,3]).toMap(item=>item%2);
+    assert.deepEqual( Array.from(result),[[1,3],[0,2]], "Passed!" );
+});
+QUnit.test( "Enumerable.toMap duplicates keepFirst", function( assert ) {
+    const result = Enumerable.from([1,2,3]).toMap(item=>item%2,item=>item,{ duplicates: 'keepFirst' });
+    assert.deepEqual( Array.from(result),[[1,1],[0,2]], "Passed!" );
+});
+QUnit.test( "Enumerable.toDictionary", function( assert ) {
+    const result = Enumerable.from([1,2,3]).toDictionary(item=>'k'+item,item=>item*10);
+    assert.deepEqual( Array.from(result),[['k1',10],['k2',20],['k3',30]], "Passed!" );
+});
+QUnit.test( "Enumerable.toDictionary duplicates throws", function( assert ) {
+    assert.throws( ()=>Enumerable.from([1,2,3]).toDictionary(item=>'k'+(item%2)), /Key: k1/, "Passed!" );
+});
+QUnit.test( "Enumerable.toDictionary duplicates collect", function( assert ) {
+    const result = Enumerable.from([1,2,3]).toDictionary(item=>item%2,item=>item,{ duplicates: 'collect' });
+    assert.deepEqual( Array.from(result),[[1,[1,3]],[0,[2]]], "Passed!" );
+});
+QUnit.test( "Enumerable.toDictionary duplicates merge function", function( assert ) {
+    const result = Enumerable.from([1,2,3]).toDictionary(item=>item%2,item=>item,{ duplicates: (v1,v2)=>v1+v2 });
+    assert.deepEqual( Array.from(result),[[1,4],[0,2]], "Passed!" );
+});
 QUnit.test( "Enumerable.toObject", function( assert ) {
     const result = Enumerable.from([1,2,3,4,5]).toObject(item=>'k'+item);
     assert.deepEqual( result,{k1:1,k2:2,k3:3,k4:4,k5:5}, "Passed!" );
 });
+QUnit.test( "Enumerable.toObject duplicates throw", function( assert ) {
+    assert.throws( ()=>Enumerable.from([1,'1']).toObject(item=>item,item=>item,{ duplicates: 'throw' }), /Key: 1/, "Passed!" );
+});
+QUnit.test( "Enumerable.toObject duplicates collect", function( assert ) {
+    const result = Enumerable.from([1,2,3]).toObject(item=>'k'+(item%2),item=>item,{ duplicates: 'collect' });
+    assert.deepEqual( result,{ k1: [1,3], k0: [2] }, "Passed!" );
+});
+QUnit.test( "OrderedEnumerable.toMap duplicates", function( assert ) {
+    const result = Enumerable.from([3,2,1]).orderBy().toMap(item=>item%2,item=>item,{ duplicates: 'keepFirst' });
+    assert.deepEqual( Array.from(result),[[1,1],[0,2]], "Passed!" );
+});
+QUnit.test( "Enumerable.toHashSet", function( assert ) {
+    const result = Enumerable.from([1,2,2,3]).toHashSet();
+    assert.deepEqual( Array.from(result),[1,2,3], "Passed!" );
+    assert.deepEqual( result.count(),3, "Passed!" );
+});
+QUnit.test( "Enumerable.toHashSet hash function", function( assert ) {
+    const result = Enumerable.from([{ id: 1, v: 'a' },{ id: 2, v: 'b' },{ id: 1, v: 'c' }]).toHashSet({ hash: item=>item.id });
+    assert.deepEqual( result.select(item=>item.v).toArray(),['a','b'], "Passed!" );
+    assert.deepEqual( result.has({ id: 2 }),true, "Passed!" );
+    assert.deepEqual( result.has({ id: 3 }),false, "Passed!" );
+    result.add({ id: 3, v: 'd' }).add({ id: 3, v: 'e' });
+    assert.deepEqual( result.size,3, "Passed!" );
+    assert.deepEqual( result.delete({ id: 1 }),true, "Passed!" );
+    assert.deepEqual( result.delete({ id: 1 }),false, "Passed!" );
+    assert.deepEqual( result.select(item=>item.v).toArray(),['b','d'], "Passed!" );
+});
+QUnit.test( "Enumerable.toHashSet equality comparer", function( assert ) {
+    const result = Enumerable.from(['a','B','A','b','c']).toHashSet({ equals: (i1,i2)=>i1.toLowerCase()===i2.toLowerCase() });
+    assert.deepEqual( Array.from(result),['a','B','c'], "Passed!" );
+    assert.deepEqual( result.has('C'),true, "Passed!" );
+    assert.deepEqual( result.delete('A'),true, "Passed!" );
+    assert.deepEqual( Array.from(result),['B','c'], "Passed!" );
+});
+QUnit.test( "Enumerable.toHashSet hash function with index parameter", function( assert ) {
+    const result = Enumerable.from([{ id: 1 },{ id: 2 },{ id: 1 }]).toHashSet({ hash: (item,index)=>item.id });
+    assert.deepEqual( result.size,2, "Passed!" );
+    assert.throws( ()=>Enumerable.from([1]).toHashSet({ hash: i=>i, equals: (i1,i2)=>i1===i2 }), "Passed!" );
+});
 QUnit.test( "Enumerable.toSet", function( assert ) {
     const result = Enumerable.from([1,2,3,4,5]).toSet();
     assert.deepEqual( result,new Set([1,2,3,4,5]), "Passed!" );
@@ -508,6 +835,10 @@ QUnit.test( "Enumerable.union equality comparer", function( assert ) {
     const result = Enumerable.from([11,12,26]).union([31,23],(i1,i2)=>(i1+'').charAt(0)===(i2+'').charAt(0)).toArray();
     assert.deepEqual( result,[11,26,31], "Passed!" );
 });
+QUnit.test( "Enumerable.unionBy", function( assert ) {
+    const result = Enumerable.from([11,12,26]).unionBy([31,23],item=>(item+'').charAt(0)).toArray();
+    assert.deepEqual( result,[11,26,31], "Passed!" );
+});
 
 QUnit.test( "Enumerable.where", function( assert ) {
     const result = Enumerable.from([1,2,3,4,5]).where(item=>item%2).toArray();
@@ -594,6 +925,259 @@ QUnit.test( "OrderedEnumerable with multiple restrictions", function( assert ) {
     const arr = result.toArray();
     assert.deepEqual( arr,[4,5], "Passed!" );
 });
+QUnit.test( "OrderedEnumerable key comparers", function( assert ) {
+    const caseInsensitive = (s1,s2)=>s1.toLowerCase().localeCompare(s2.toLowerCase());
+    let result = Enumerable.from(['b','C','a','B']).orderBy(i=>i,caseInsensitive).thenBy(i=>i).toArray();
+    assert.deepEqual( result,['a','B','b','C'], "Passed!" );
+    result = Enumerable.from(['b','C','a','B']).orderByDescending(null,caseInsensitive).thenByDescending(i=>i).toArray();
+    assert.deepEqual( result,['C','b','B','a'], "Passed!" );
+    result = Enumerable.from([{ n: 1, s: 'b' },{ n: 1, s: 'A' },{ n: 0, s: 'c' }]).orderBy(i=>i.n).thenBy(i=>i.s,caseInsensitive).select(i=>i.s).toArray();
+    assert.deepEqual( result,['c','A','b'], "Passed!" );
+});
+QUnit.test( "OrderedEnumerable key comparer with partial QuickSort", function( assert ) {
+    const source = Enumerable.range(0,1000).select(i=>(i*7919)%1000).toArray();
+    const byLastDigitThenDescending = (i1,i2)=>(i1%10)-(i2%10) || i2-i1;
+    const expected = source.slice().sort(byLastDigitThenDescending);
+    const result = Enumerable.from(source).useQuickSort().orderBy(i=>i,byLastDigitThenDescending).skip(100).take(150).toArray();
+    assert.deepEqual( result,expected.slice(100,250), "Passed!" );
+    const last = Enumerable.from(source).orderByDescending(i=>i,byLastDigitThenDescending).takeLast(5).toArray();
+    assert.deepEqual( last,expected.slice(0,5).reverse(), "Passed!" );
+});
+QUnit.test( "OrderedEnumerable stable sort", function( assert ) {
+    const source = Enumerable.range(0,1000).select(i=>({ key: (i*7919)%10, index: i })).toArray();
+    const byKeyThenIndex = (i1,i2)=>i1.key-i2.key || i1.index-i2.index;
+    const expected = source.slice().sort(byKeyThenIndex);
+    let result = Enumerable.from(source).useStableSort().orderBy(i=>i.key).toArray();
+    assert.deepEqual( result,expected, "Passed!" );
+    result = Enumerable.from(source).where(i=>i.index%3).useStableSort().orderBy(i=>i.key).skip(50).take(200).toArray();
+    assert.deepEqual( result,expected.filter(i=>i.index%3).slice(50,250), "Passed!" );
+    result = Enumerable.from(source).useStableSort().orderByDescending(i=>i.key).takeLast(100).toArray();
+    assert.deepEqual( result,source.slice().sort((i1,i2)=>i2.key-i1.key || i1.index-i2.index).slice(900), "Passed!" );
+});
+QUnit.test( "Enumerable.sort stable", function( assert ) {
+    const arr = Enumerable.range(0,500).select(i=>({ key: i%7, index: i })).toArray();
+    const result = Enumerable.sort(arr,(i1,i2)=>i1.key-i2.key,{ stable: true });
+    assert.equal( result,arr, "Passed!" );
+    assert.deepEqual( result.map(i=>i.index),Enumerable.range(0,500).orderBy(i=>i%7).thenBy(i=>i).toArray(), "Passed!" );
+});
+QUnit.test( "OrderedEnumerable take and takeLast from a generator", function( assert ) {
+    const source = Enumerable.range(0,1000).select(i=>({ key: (i*7919)%100, index: i })).toArray();
+    const generator = function*() { yield* source; };
+    const expected = source.slice().sort((i1,i2)=>i1.key-i2.key || i1.index-i2.index);
+    let result = Enumerable.from(generator).orderBy(i=>i.key).take(20).toArray();
+    assert.deepEqual( result,expected.slice(0,20), "Passed!" );
+    result = Enumerable.from(generator).orderBy(i=>i.key).skip(5).take(20).skip(3).toArray();
+    assert.deepEqual( result,expected.slice(8,25), "Passed!" );
+    result = Enumerable.from(generator).orderBy(i=>i.key).takeLast(20).skipLast(5).toArray();
+    assert.deepEqual( result,expected.slice(980,995), "Passed!" );
+    result = Enumerable.from(generator).useStableSort().orderBy(i=>i.key).take(2000).skip(990).toArray();
+    assert.deepEqual( result,expected.slice(990), "Passed!" );
+    result = Enumerable.from(generator).orderBy(i=>i.key).takeLast(1010).skipLast(1005).toArray();
+    assert.deepEqual( result,expected.slice(0,0), "Passed!" );
+    result = Enumerable.from(generator).useStableSort().orderBy(i=>i.key).take(10).takeLast(3).toArray();
+    assert.deepEqual( result,expected.slice(7,10), "Passed!" );
+});
+QUnit.test( "OrderedEnumerable take uses the heap only for few items", function( assert ) {
+    const source = Enumerable.range(0,1000).select(i=>(i*7919)%1000).toArray();
+    const generator = function*() { yield* source; };
+    // the heap keeps the skipped items too, the sort keeps only the needed ones
+    let ordered = Enumerable.from(generator).orderBy(i=>i).skip(10).take(480);
+    assert.deepEqual( ordered.toArray(),Enumerable.range(10,480).toArray(), "Passed!" );
+    assert.equal( ordered._sorted.arr.length,490, "Passed!" );
+    ordered = Enumerable.from(generator).orderBy(i=>i).skip(100).take(500);
+    assert.deepEqual( ordered.toArray(),Enumerable.range(100,500).toArray(), "Passed!" );
+    assert.equal( ordered._sorted.arr.length,500, "Passed!" );
+    ordered = Enumerable.from(generator).orderBy(i=>i).takeLast(700).skipLast(100);
+    assert.deepEqual( ordered.toArray(),Enumerable.range(300,600).toArray(), "Passed!" );
+    assert.equal( ordered._sorted.arr.length,600, "Passed!" );
+    ordered = Enumerable.from(generator).orderBy(i=>i).takeLast(100).skipLast(10);
+    assert.deepEqual( ordered.toArray(),Enumerable.range(900,90).toArray(), "Passed!" );
+    assert.equal( ordered._sorted.arr.length,100, "Passed!" );
+});
+QUnit.test( "Enumerable.topBy", function( assert ) {
+    const source = Enumerable.range(0,1000).select(i=>({ key: (i*7919)%100, index: i })).toArray();
+    const expected = source.slice().sort((i1,i2)=>i2.key-i1.key || i1.index-i2.index);
+    let result = Enumerable.from(function*() { yield* source; }).topBy(20,i=>i.key).toArray();
+    assert.deepEqual( result,expected.slice(0,20), "Passed!" );
+    result = Enumerable.from([3,1,2]).topBy(5).toArray();
+    assert.deepEqual( result,[3,2,1], "Passed!" );
+    result = Enumerable.from(['b','C','a']).topBy(2,null,(s1,s2)=>s1.toLowerCase().localeCompare(s2.toLowerCase())).toArray();
+    assert.deepEqual( result,['C','b'], "Passed!" );
+    result = Enumerable.from([3,1,2]).topBy(0).toArray();
+    assert.deepEqual( result,[], "Passed!" );
+});
+QUnit.test( "OrderedEnumerable computes keys once per item", function( assert ) {
+    const source = Enumerable.range(0,500).select(i=>(i*7919)%500).toArray();
+    let calls = 0;
+    const key = i=>{ calls++; return i%10; };
+    const expected = source.slice().sort((i1,i2)=>i1%10-i2%10 || i1-i2);
+    let result = Enumerable.from(source).orderBy(key).thenBy(i=>{ calls++; return i; }).toArray();
+    assert.deepEqual( result,expected, "Passed!" );
+    assert.equal( calls,1000, "Passed!" );
+    calls = 0;
+    result = Enumerable.from(source).useBrowserSort().orderBy(key).thenBy(i=>i).toArray();
+    assert.deepEqual( result,expected, "Passed!" );
+    assert.equal( calls,500, "Passed!" );
+    calls = 0;
+    result = Enumerable.from(source).orderBy(key).thenBy(i=>i).skip(100).take(50).toArray();
+    assert.deepEqual( result,expected.slice(100,150), "Passed!" );
+    assert.equal( calls,500, "Passed!" );
+    calls = 0;
+    result = Enumerable.from(function*() { yield* source; }).orderBy(key).thenBy(i=>i).takeLast(5).toArray();
+    assert.deepEqual( result,expected.slice(495), "Passed!" );
+    assert.equal( calls,500, "Passed!" );
+    calls = 0;
+    result = Enumerable.from(source).topBy(3,key).toArray();
+    assert.equal( calls,500, "Passed!" );
+});
+QUnit.test( "OrderedEnumerable radix sort", function( assert ) {
+    const source = Enumerable.range(0,3000).select(i=>({
+        int: (i*7919)%2000-1000,
+        float: i%100 ? ((i*7919)%3001)/7-200 : [NaN,-0,0,Infinity,-Infinity][i%5],
+        str: ((i*7919)%1000).toString(36).repeat(i%3),
+        index: i
+    })).toArray();
+    const check = (query) => {
+        const expected = query(Enumerable.from(source).useStableSort()).toArray();
+        const result = query(Enumerable.from(source).useRadixSort()).toArray();
+        assert.deepEqual( result.map(i=>i.index),expected.map(i=>i.index), "Passed!" );
+    };
+    check(e=>e.orderBy(i=>i.int));
+    check(e=>e.orderByDescending(i=>i.int));
+    check(e=>e.orderBy(i=>i.float));
+    check(e=>e.orderByDescending(i=>i.float));
+    check(e=>e.orderBy(i=>i.str));
+    check(e=>e.orderByDescending(i=>i.str).thenBy(i=>i.int).skip(100).take(1000));
+    check(e=>e.orderBy(i=>i.int%10).thenByDescending(i=>i.float));
+    check(e=>e.orderBy(i=>i.index%2 ? i.int : i.str));
+    check(e=>e.orderBy(i=>i.str,(s1,s2)=>s2.length-s1.length));
+    check(e=>e.take(100).orderBy(i=>i.int));
+});
+QUnit.test( "OrderedEnumerable seeks after the first sort", function( assert ) {
+    let calls = 0;
+    const ordered = Enumerable.from(function*() { yield* [3,1,4,1,5,9,2,6]; }).orderBy(i=>{ calls++; return i; });
+    assert.equal( ordered._canSeek,false, "Passed!" );
+    assert.deepEqual( ordered.toArray(),[1,1,2,3,4,5,6,9], "Passed!" );
+    assert.equal( calls,8, "Passed!" );
+    assert.equal( ordered._canSeek,true, "Passed!" );
+    assert.equal( ordered.elementAt(3),3, "Passed!" );
+    assert.equal( ordered.count(),8, "Passed!" );
+    assert.equal( ordered.last(),9, "Passed!" );
+    assert.deepEqual( ordered.reverse().toArray(),[9,6,5,4,3,2,1,1], "Passed!" );
+    assert.equal( calls,8, "Passed!" );
+    const page = ordered.thenByDescending(i=>i).skip(2).take(3);
+    assert.equal( page._canSeek,false, "Passed!" );
+    assert.deepEqual( page.toArray(),[2,3,4], "Passed!" );
+    assert.equal( calls,16, "Passed!" );
+    assert.equal( page.elementAt(1),3, "Passed!" );
+    assert.equal( page.elementAtOrDefault(3),undefined, "Passed!" );
+    assert.equal( page.count(),3, "Passed!" );
+    assert.equal( ordered.count(),8, "Passed!" );
+});
+QUnit.test( "OrderedEnumerable branching queries", function( assert ) {
+    const sorted = Enumerable.from([{ a: 2, b: 1 },{ a: 1, b: 2 },{ a: 2, b: 2 },{ a: 1, b: 1 }]).useStableSort().orderBy(i=>i.a);
+    const page1 = sorted.take(2);
+    const page2 = sorted.skip(2).take(2);
+    const byB = sorted.thenByDescending(i=>i.b);
+    assert.deepEqual( page1.toArray(),[{ a: 1, b: 2 },{ a: 1, b: 1 }], "Passed!" );
+    assert.deepEqual( page2.toArray(),[{ a: 2, b: 1 },{ a: 2, b: 2 }], "Passed!" );
+    assert.deepEqual( byB.takeLast(1).toArray(),[{ a: 2, b: 1 }], "Passed!" );
+    assert.deepEqual( byB.toArray(),[{ a: 1, b: 2 },{ a: 1, b: 1 },{ a: 2, b: 2 },{ a: 2, b: 1 }], "Passed!" );
+    assert.deepEqual( sorted.select(i=>i.b).toArray(),[2,1,1,2], "Passed!" );
+    assert.deepEqual( page1.toArray(),[{ a: 1, b: 2 },{ a: 1, b: 1 }], "Passed!" );
+    assert.deepEqual( byB.explain().operator,'thenByDescending', "Passed!" );
+    assert.deepEqual( page2.explain().parent.operator,'skip', "Passed!" );
+});
+QUnit.test( "OrderedEnumerable incremental sort", function( assert ) {
+    const source = Enumerable.range(0,3000).select(i=>({ key: (i*7919)%1000, index: i })).toArray();
+    const check = (query) => {
+        const expected = query(Enumerable.from(source).useStableSort()).toArray();
+        const result = Array.from(query(Enumerable.from(source).useIncrementalSort()));
+        assert.deepEqual( result.map(i=>i.index),expected.map(i=>i.index), "Passed!" );
+    };
+    check(e=>e.orderBy(i=>i.key));
+    check(e=>e.orderByDescending(i=>i.key).thenBy(i=>i.index%7));
+    check(e=>e.orderBy(i=>i.key).skip(1500).take(100));
+    check(e=>e.orderBy(i=>i.key).takeLast(10));
+    check(e=>e.orderBy(i=>i.key).skip(3000));
+    check(e=>e.take(10).orderBy(i=>i.key));
+});
+QUnit.test( "OrderedEnumerable incremental sort streams", function( assert ) {
+    const source = Enumerable.range(0,100000).select(i=>(i*7919)%100000).toArray();
+    let comparisons = 0;
+    const comparer = (i1,i2)=>{ comparisons++; return i1-i2; };
+    const ordered = Enumerable.from(source).useIncrementalSort().orderBy(i=>i,comparer);
+    assert.equal( ordered.first(),0, "Passed!" );
+    assert.ok( comparisons<500000, "Passed!" );
+    assert.deepEqual( ordered.take(3).toArray(),[0,1,2], "Passed!" );
+    const firstTen = [];
+    for (const item of ordered) {
+        firstTen.push(item);
+        if (firstTen.length===10) break;
+    }
+    assert.deepEqual( firstTen,[0,1,2,3,4,5,6,7,8,9], "Passed!" );
+    assert.equal( ordered._canSeek,false, "Passed!" );
+    assert.equal( ordered.count(),100000, "Passed!" );
+    assert.equal( ordered.select(i=>i).last(),99999, "Passed!" );
+    assert.equal( ordered._canSeek,true, "Passed!" );
+    assert.equal( ordered.elementAt(12345),12345, "Passed!" );
+});
+QUnit.test( "OrderedEnumerable sort modes replace each other", function( assert ) {
+    const source = Enumerable.range(0,10);
+    assert.equal( source._sortMode,'quick', "Passed!" );
+    assert.equal( source.useRadixSort().useStableSort()._sortMode,'stable', "Passed!" );
+    assert.equal( source.useIncrementalSort().useBrowserSort()._sortMode,'browser', "Passed!" );
+    assert.equal( source.useRadixSort().orderBy(i=>-i)._sortMode,'radix', "Passed!" );
+    assert.equal( source.orderBy(i=>-i).useIncrementalSort().take(3)._sortMode,'incremental', "Passed!" );
+    assert.deepEqual( source.useQuickSort().orderBy(i=>-i).take(3).toArray(),[9,8,7], "Passed!" );
+});
+QUnit.test( "OrderedEnumerable incremental sort is stable when sorted all at once", function( assert ) {
+    const source = Enumerable.range(0,3000).select(i=>({ key: (i*7919)%10, index: i })).toArray();
+    const expected = Enumerable.from(source).useStableSort().orderBy(i=>i.key).toArray().map(i=>i.index);
+    const ordered = Enumerable.from(source).useIncrementalSort().orderBy(i=>i.key);
+    assert.deepEqual( ordered.toArray().map(i=>i.index),expected, "Passed!" );
+    assert.deepEqual( [...ordered].map(i=>i.index),expected, "Passed!" );
+    const streamed = Enumerable.from(source).useIncrementalSort().orderBy(i=>i.key);
+    assert.deepEqual( [...streamed].map(i=>i.index),expected, "Passed!" );
+    assert.deepEqual( streamed.toArray().map(i=>i.index),expected, "Passed!" );
+});
+QUnit.test( "Enumerable.nthElement", function( assert ) {
+    const source = Enumerable.range(0,1000).select(i=>({ key: (i*7919)%100, index: i })).toArray();
+    const ordered = Enumerable.from(source).useStableSort().orderBy(i=>i.key).toArray();
+    const orderedDescending = Enumerable.from(source).useStableSort().orderByDescending(i=>i.key).toArray();
+    for (const n of [0,1,99,500,998,999]) {
+        assert.equal( Enumerable.from(source).nthElement(n,i=>i.key),ordered[n], "Passed!" );
+        assert.equal( Enumerable.from(source).nthElement(n,i=>i.key,{ descending: true }),orderedDescending[n], "Passed!" );
+    }
+    assert.equal( Enumerable.from([3,1,2]).nthElement(0),1, "Passed!" );
+    assert.equal( Enumerable.from(['b','C','a']).nthElement(1,null,{ comparer: (s1,s2)=>s1.toLowerCase().localeCompare(s2.toLowerCase()) }),'b', "Passed!" );
+    assert.throws( ()=>Enumerable.from([3,1,2]).nthElement(3), "Passed!" );
+    assert.throws( ()=>Enumerable.empty().nthElement(0), "Passed!" );
+});
+QUnit.test( "Enumerable.median", function( assert ) {
+    assert.equal( Enumerable.from([5,1,4,2,3]).median(),3, "Passed!" );
+    assert.equal( Enumerable.from([5,1,4,2]).median(),3, "Passed!" );
+    assert.equal( Enumerable.from([{ v: 1 },{ v: 10 },{ v: 2 }]).median(i=>i.v),2, "Passed!" );
+    assert.equal( Enumerable.range(0,1001).select(i=>(i*7919)%1001).median(),500, "Passed!" );
+    assert.equal( Enumerable.repeat(7,100).median(),7, "Passed!" );
+    assert.equal( Enumerable.empty().median(),undefined, "Passed!" );
+});
+QUnit.test( "Enumerable.percentile", function( assert ) {
+    const values = Enumerable.from([40,15,50,35,20]);
+    // same values as PERCENTILE.INC and PERCENTILE.EXC in spreadsheets
+    assert.equal( values.percentile(0.4),29, "Passed!" );
+    assert.equal( values.percentile(0),15, "Passed!" );
+    assert.equal( values.percentile(1),50, "Passed!" );
+    assert.ok( Math.abs(values.percentile(0.4,null,{ interpolation: 'exclusive' })-26)<1e-9, "Passed!" );
+    assert.equal( Enumerable.from([1,2,3,4]).percentile(0.25),1.75, "Passed!" );
+    assert.equal( Enumerable.from([1,2,3,4]).percentile(0.25,null,{ interpolation: 'exclusive' }),1.25, "Passed!" );
+    assert.equal( values.percentile(0.6,null,{ descending: true }),29, "Passed!" );
+    assert.ok( Math.abs(values.percentile(0.6,null,{ descending: true, interpolation: 'exclusive' })-26)<1e-9, "Passed!" );
+    assert.equal( Enumerable.from([{ v: 1 },{ v: 3 }]).percentile(0.5,i=>i.v),2, "Passed!" );
+    assert.throws( ()=>values.percentile(0.1,null,{ interpolation: 'exclusive' }), "Passed!" );
+    assert.throws( ()=>values.percentile(1.5), "Passed!" );
+    assert.equal( Enumerable.empty().percentile(0.9),undefined, "Passed!" );
+});
 QUnit.test( "Enumerable.sort in place", function( assert ) {
     const arr = [1,2,3,4];
     const result = Enumerable.sort(arr, i=>i%2==1);
@@ -662,6 +1246,13 @@ QUnit.test( "Enumerable.concat unseekable count", function( assert ) {
     assert.deepEqual( result._wasIterated, false, "Passed!" );
     assert.deepEqual( iterable._wasIterated, true, "Passed!" );
 });
+QUnit.test( "defaultIfEmpty count", function( assert ) {
+    let result = Enumerable.range(100,10000).defaultIfEmpty(1);
+    assert.deepEqual( result.count(), 10000, "Passed!" );
+    result = Enumerable.empty().defaultIfEmpty(1);
+    assert.deepEqual( result.count(), 1, "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+});
 QUnit.test( "orderBy count", function( assert ) {
     const result = Enumerable.range(100,10000).orderBy(i=>i+1);
     assert.deepEqual( result.count(), 10000, "Passed!" );
@@ -723,6 +1314,109 @@ QUnit.test( "Enumerable.repeat seek", function( assert ) {
     assert.deepEqual( result.elementAtOrDefault(10000), 123, "Passed!" );
     assert.deepEqual( result._wasIterated, false, "Passed!" );
 });
+QUnit.test( "Map count", function( assert ) {
+    const map = new Map([['a',1],['b',2],['c',3]]);
+    const result = Enumerable.from(map);
+    assert.deepEqual( result.count(), 3, "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+    assert.deepEqual( result.elementAt(1), ['b',2], "Passed!" );
+    assert.deepEqual( result.last(), ['c',3], "Passed!" );
+    assert.deepEqual( result.reverse().toArray(), [['c',3],['b',2],['a',1]], "Passed!" );
+    assert.deepEqual( result.takeLast(2).toArray(), [['b',2],['c',3]], "Passed!" );
+    assert.deepEqual( result._canSeek, true, "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+});
+QUnit.test( "Map seek iterates the source once", function( assert ) {
+    const map = new Map([['a',1],['b',2],['c',3]]);
+    let iterations = 0;
+    const iterator = map[Symbol.iterator];
+    map[Symbol.iterator] = function() { iterations++; return iterator.call(this); };
+    const result = Enumerable.from(map);
+    assert.deepEqual( result.elementAt(1), ['b',2], "Passed!" );
+    assert.deepEqual( result.elementAt(2), ['c',3], "Passed!" );
+    assert.deepEqual( result.last(), ['c',3], "Passed!" );
+    assert.deepEqual( iterations, 1, "Passed!" );
+    map.delete('a');
+    map.set('d',4);
+    assert.deepEqual( result.last(), ['d',4], "Passed!" );
+    assert.deepEqual( result.elementAt(0), ['b',2], "Passed!" );
+    assert.deepEqual( iterations, 2, "Passed!" );
+});
+QUnit.test( "Map changes with the same size", function( assert ) {
+    const map = new Map([['a',1],['b',2]]);
+    const result = Enumerable.from(map);
+    assert.deepEqual( result.elementAt(0), ['a',1], "Passed!" );
+    map.set('a',5);
+    assert.deepEqual( result.elementAt(0), ['a',5], "Passed!" );
+    assert.deepEqual( result.last(), ['b',2], "Passed!" );
+    map.clear();
+    assert.deepEqual( result.elementAtOrDefault(0), undefined, "Passed!" );
+});
+QUnit.test( "Set count", function( assert ) {
+    const set = new Set([1,2,3]);
+    const result = Enumerable.from(set);
+    assert.deepEqual( result.count(), 3, "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+    assert.deepEqual( result.elementAt(2), 3, "Passed!" );
+    assert.deepEqual( result.elementAtOrDefault(3), undefined, "Passed!" );
+    assert.deepEqual( result._canSeek, true, "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+    set.add(4);
+    assert.deepEqual( result.count(), 4, "Passed!" );
+    assert.deepEqual( result.last(), 4, "Passed!" );
+});
+QUnit.test( "Set changes with the same size", function( assert ) {
+    const set = new Set([1,2,3]);
+    let iterations = 0;
+    const iterator = set[Symbol.iterator];
+    set[Symbol.iterator] = function() { iterations++; return iterator.call(this); };
+    const result = Enumerable.from(set);
+    assert.deepEqual( result.last(), 3, "Passed!" );
+    assert.deepEqual( result.elementAt(1), 2, "Passed!" );
+    assert.deepEqual( iterations, 1, "Passed!" );
+    set.delete(1);
+    set.add(4);
+    assert.deepEqual( result.last(), 4, "Passed!" );
+    assert.deepEqual( result.elementAt(0), 2, "Passed!" );
+    assert.deepEqual( iterations, 2, "Passed!" );
+    assert.deepEqual( result.toArray(), [2,3,4], "Passed!" );
+});
+QUnit.test( "TypedArray seek", function( assert ) {
+    const result = Enumerable.from(new Float64Array([1.5,2.5,3.5]));
+    assert.deepEqual( result.count(), 3, "Passed!" );
+    assert.deepEqual( result.elementAt(1), 2.5, "Passed!" );
+    assert.deepEqual( result.elementAtOrDefault(-1), undefined, "Passed!" );
+    assert.deepEqual( result.reverse().toArray(), [3.5,2.5,1.5], "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+});
+QUnit.test( "arguments seek", function( assert ) {
+    const result = (function() { return Enumerable.from(arguments); })(1,undefined,3);
+    assert.deepEqual( result.count(), 3, "Passed!" );
+    assert.deepEqual( result.elementAt(1), undefined, "Passed!" );
+    assert.deepEqual( result.last(), 3, "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+});
+QUnit.test( "DOM-like collection seek", function( assert ) {
+    const items = ['a','b','c'];
+    const collection = {
+        length: items.length,
+        item: index => items[index],
+        [Symbol.iterator]: () => items[Symbol.iterator]()
+    };
+    const result = Enumerable.from(collection);
+    assert.deepEqual( result.count(), 3, "Passed!" );
+    assert.deepEqual( result.elementAt(2), 'c', "Passed!" );
+    assert.deepEqual( result.takeLast(1).toArray(), ['c'], "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+});
+QUnit.test( "chunk seek", function( assert ) {
+    const result = Enumerable.range(0,100000).chunk(30);
+    assert.deepEqual( result.count(), 3334, "Passed!" );
+    assert.deepEqual( result.elementAt(10), Enumerable.range(300,30).toArray(), "Passed!" );
+    assert.deepEqual( result.elementAt(3333), [99990,99991,99992,99993,99994,99995,99996,99997,99998,99999], "Passed!" );
+    assert.deepEqual( result.elementAtOrDefault(3334), undefined, "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+});
 QUnit.test( "append seek", function( assert ) {
     const result = Enumerable.range(0,100000).append(666666);
     assert.deepEqual( result.count(), 100001, "Passed!" );
@@ -749,6 +1443,14 @@ QUnit.test( "prepend seek", function( assert ) {
     assert.deepEqual( result.first(), 666666, "Passed!" );
     assert.deepEqual( result._wasIterated, false, "Passed!" );
 });
+QUnit.test( "defaultIfEmpty seek", function( assert ) {
+    let result = Enumerable.range(0,100000).defaultIfEmpty(-1);
+    assert.deepEqual( result.elementAtOrDefault(10000), 10000, "Passed!" );
+    result = Enumerable.empty().defaultIfEmpty(-1);
+    assert.deepEqual( result.elementAtOrDefault(0), -1, "Passed!" );
+    assert.deepEqual( result.elementAtOrDefault(1), undefined, "Passed!" );
+    assert.deepEqual( result._wasIterated, false, "Passed!" );
+});
 QUnit.test( "reverse seek", function( assert ) {
     const result = Enumerable.range(0,100000).reverse();
     assert.deepEqual( result.count(), 100000, "Passed!" );
@@ -967,3 +1669,387 @@ QUnit.test( "GitHub issue #22", function( assert ) {
     const result = Enumerable.from([{ a: [1,2] }, { a: [2,3,4] }]).selectMany(x => x.a).toArray();
     assert.deepEqual( result,[1,2,2,3,4], "Passed!" );
 });
+
+QUnit.module('statistics tests');
+
+QUnit.test( "variance and stdDev", function( assert ) {
+    const values = Enumerable.from([2,4,4,4,5,5,7,9]);
+    assert.equal( values.variance(),4, "Passed!" );
+    assert.equal( values.stdDev(),2, "Passed!" );
+    assert.equal( values.variance(null,'sample'),32/7, "Passed!" );
+    assert.equal( values.stdDev(null,'sample'),Math.sqrt(32/7), "Passed!" );
+    assert.equal( Enumerable.from([{ v: 1 },{ v: 3 }]).variance(i=>i.v),1, "Passed!" );
+    assert.equal( Enumerable.empty().variance(),undefined, "Passed!" );
+    assert.equal( Enumerable.from([5]).variance(),0, "Passed!" );
+    assert.equal( Enumerable.from([5]).stdDev(null,'sample'),undefined, "Passed!" );
+    // large offsets don't lose precision like the sum of squares would
+    assert.equal( Enumerable.from([1e9+4,1e9+7,1e9+13,1e9+16]).variance(null,'sample'),30, "Passed!" );
+    assert.throws( ()=>values.variance(null,'other'), "Passed!" );
+});
+QUnit.test( "mode and frequencies", function( assert ) {
+    const values = Enumerable.from(['b','a','c','a','b','a']);
+    assert.equal( values.mode(),'a', "Passed!" );
+    assert.deepEqual( Array.from(values.frequencies()),[['b',2],['a',3],['c',1]], "Passed!" );
+    assert.equal( Enumerable.from([1,2,2,1]).mode(),1, "Passed!" );
+    assert.equal( Enumerable.from([{ v: 1 },{ v: 3 },{ v: 3 }]).mode(i=>i.v),3, "Passed!" );
+    assert.deepEqual( Array.from(Enumerable.from([1.5,2.2,1.9]).frequencies(Math.floor)),[[1,2],[2,1]], "Passed!" );
+    assert.equal( Enumerable.empty().mode(),undefined, "Passed!" );
+});
+QUnit.test( "histogram", function( assert ) {
+    const values = Enumerable.from([0,1,2,3,4,5,6,7,8,9,10]);
+    assert.deepEqual( values.histogram(2),[{ min: 0, max: 5, count: 5 },{ min: 5, max: 10, count: 6 }], "Passed!" );
+    assert.deepEqual( values.histogram([2,4,8]),[{ min: 2, max: 4, count: 2 },{ min: 4, max: 8, count: 5 }], "Passed!" );
+    assert.deepEqual( Enumerable.from([{ v: 3 },{ v: 3 }]).histogram(3,i=>i.v),[{ min: 3, max: 3, count: 2 }], "Passed!" );
+    assert.deepEqual( Enumerable.empty().histogram(3),[], "Passed!" );
+    assert.deepEqual( Enumerable.range(0,100).select(i=>i/10).histogram(10).map(b=>b.count),[10,10,10,10,10,10,10,10,10,10], "Passed!" );
+    assert.throws( ()=>values.histogram(0), "Passed!" );
+    assert.throws( ()=>values.histogram([3]), "Passed!" );
+    assert.throws( ()=>values.histogram([3,2]), "Passed!" );
+});
+QUnit.test( "describe", function( assert ) {
+    const description = Enumerable.from([{ v: 2 },{ v: 4 },{ v: 4 },{ v: 4 },{ v: 5 },{ v: 5 },{ v: 7 },{ v: 9 }]).describe(i=>i.v,[0,5,10]);
+    assert.equal( description.count,8, "Passed!" );
+    assert.equal( description.sum,40, "Passed!" );
+    assert.equal( description.mean,5, "Passed!" );
+    assert.equal( description.min,2, "Passed!" );
+    assert.equal( description.max,9, "Passed!" );
+    assert.equal( description.variance,4, "Passed!" );
+    assert.equal( description.sampleVariance,32/7, "Passed!" );
+    assert.equal( description.stdDev,2, "Passed!" );
+    assert.equal( description.sampleStdDev,Math.sqrt(32/7), "Passed!" );
+    assert.equal( description.mode,4, "Passed!" );
+    assert.equal( description.frequencies.get(5),2, "Passed!" );
+    assert.deepEqual( description.histogram.map(b=>b.count),[4,4], "Passed!" );
+    assert.equal( Enumerable.range(0,100).describe().histogram.length,10, "Passed!" );
+    const empty = Enumerable.empty().describe();
+    assert.equal( empty.count,0, "Passed!" );
+    assert.equal( empty.mean,undefined, "Passed!" );
+    assert.equal( empty.stdDev,undefined, "Passed!" );
+    assert.deepEqual( empty.histogram,[], "Passed!" );
+});
+QUnit.test( "statistics of values that are not numbers", function( assert ) {
+    const values = Enumerable.from([2,'x',4,null]);
+    assert.ok( isNaN(values.variance()), "Passed!" );
+    assert.ok( isNaN(values.stdDev(null,'sample')), "Passed!" );
+    assert.equal( values.variance(null,'population',{ nonNumeric: 'skip' }),1, "Passed!" );
+    assert.throws( ()=>values.variance(null,'population',{ nonNumeric: 'throw' }),/not a number/, "Passed!" );
+    assert.deepEqual( values.histogram(2),[{ min: 2, max: 3, count: 1 },{ min: 3, max: 4, count: 1 }], "Passed!" );
+    assert.deepEqual( values.histogram(2,null,{ nonNumeric: 'skip' }),values.histogram(2), "Passed!" );
+    assert.throws( ()=>values.histogram(2,null,{ nonNumeric: 'throw' }), "Passed!" );
+    const description = values.describe();
+    assert.equal( description.count,4, "Passed!" );
+    assert.ok( isNaN(description.mean), "Passed!" );
+    assert.ok( isNaN(description.min), "Passed!" );
+    assert.ok( isNaN(description.max), "Passed!" );
+    const skipped = values.describe(null,2,{ nonNumeric: 'skip' });
+    assert.equal( skipped.count,2, "Passed!" );
+    assert.equal( skipped.mean,3, "Passed!" );
+    assert.equal( skipped.min,2, "Passed!" );
+    assert.throws( ()=>values.describe(null,2,{ nonNumeric: 'throw' }), "Passed!" );
+    assert.deepEqual( Enumerable.from(['a','b']).histogram(3),[], "Passed!" );
+});
+
+// Comparer tests
+QUnit.module('Comparer tests');
+
+QUnit.test( "default comparer total order", function( assert ) {
+    const date1 = new Date(2020,1,1);
+    const date2 = new Date(2021,1,1);
+    const result = Enumerable.from(['b',3,undefined,date2,true,null,NaN,'a',1,false,date1]).orderBy().toArray();
+    assert.deepEqual( result,[null,undefined,false,true,NaN,1,3,'a','b',date1,date2], "Passed!" );
+});
+QUnit.test( "default comparer BigInt", function( assert ) {
+    const result = Enumerable.from([BigInt(3),2,BigInt(1),1.5]).orderBy().toArray();
+    assert.deepEqual( result,[BigInt(1),1.5,2,BigInt(3)], "Passed!" );
+});
+QUnit.test( "Comparer.by thenBy thenByDescending", function( assert ) {
+    const items = [{ a: 2, b: 'x' },{ a: 1, b: 'y' },{ a: 2, b: 'z' },{ a: 1, b: 'x' }];
+    assert.deepEqual( Enumerable.sort(items.slice(),Linqer.Comparer.by(i=>i.a).thenBy(i=>i.b)),
+        [{ a: 1, b: 'x' },{ a: 1, b: 'y' },{ a: 2, b: 'x' },{ a: 2, b: 'z' }], "Passed!" );
+    assert.deepEqual( Enumerable.sort(items.slice(),Linqer.Comparer.by(i=>i.a).thenByDescending(i=>i.b)),
+        [{ a: 1, b: 'y' },{ a: 1, b: 'x' },{ a: 2, b: 'z' },{ a: 2, b: 'x' }], "Passed!" );
+    assert.deepEqual( Enumerable.sort(items.slice(),Linqer.Comparer.by(i=>i.a).thenBy(i=>i.b).reverse()),
+        [{ a: 2, b: 'z' },{ a: 2, b: 'x' },{ a: 1, b: 'y' },{ a: 1, b: 'x' }], "Passed!" );
+    assert.deepEqual( Enumerable.sort(items.slice(),Linqer.Comparer.byDescending(i=>i.a).thenBy(i=>i.b)),
+        [{ a: 2, b: 'x' },{ a: 2, b: 'z' },{ a: 1, b: 'x' },{ a: 1, b: 'y' }], "Passed!" );
+});
+QUnit.test( "Comparer nullsFirst and nullsLast", function( assert ) {
+    const items = [{ a: 2 },{ a: null },{ a: 1 },{ a: undefined }];
+    assert.deepEqual( Enumerable.sort(items.slice(),Linqer.Comparer.by(i=>i.a).nullsLast()).map(i=>i.a),[1,2,null,undefined], "Passed!" );
+    assert.deepEqual( Enumerable.sort(items.slice(),Linqer.Comparer.by(i=>i.a).reverse().nullsLast()).map(i=>i.a),[2,1,null,undefined], "Passed!" );
+    assert.deepEqual( Enumerable.sort(items.slice(),Linqer.Comparer.by(i=>i.a).reverse().nullsFirst()).map(i=>i.a),[null,undefined,2,1], "Passed!" );
+    assert.deepEqual( Enumerable.sort([3,null,1],Linqer.Comparer.nullsLast()),[1,3,null], "Passed!" );
+    assert.deepEqual( Enumerable.sort([3,null,1],Linqer.Comparer.nullsLast((i1,i2)=>i2-i1)),[3,1,null], "Passed!" );
+});
+QUnit.test( "Comparer accepted by min, max, stats and binarySearch", function( assert ) {
+    const items = [{ name: 'b', age: 30 },{ name: 'a', age: 40 },{ name: 'c', age: 20 }];
+    const byAge = Linqer.Comparer.by(i=>i.age);
+    assert.deepEqual( Enumerable.from(items).min(byAge),{ name: 'c', age: 20 }, "Passed!" );
+    assert.deepEqual( Enumerable.from(items).max(byAge),{ name: 'a', age: 40 }, "Passed!" );
+    assert.deepEqual( Enumerable.from(items).stats(byAge.reverse()).min,{ name: 'a', age: 40 }, "Passed!" );
+    assert.deepEqual( Enumerable.from([5,4,3,2,1]).binarySearch(2,Linqer.Comparer.default.reverse()),3, "Passed!" );
+});
+QUnit.test( "Comparer.from", function( assert ) {
+    const result = Enumerable.sort(['bb','a','ccc','dd'],Linqer.Comparer.from((s1,s2)=>s1.length-s2.length).thenBy(s=>s));
+    assert.deepEqual( result,['a','bb','dd','ccc'], "Passed!" );
+});
+
+// disposal tests
+QUnit.module('disposal tests');
+
+function disposableSource(log, count = 5) {
+    return function* () {
+        try {
+            for (let i = 0; i < count; i++) yield i;
+        } finally {
+            log.push('disposed');
+        }
+    };
+}
+
+QUnit.test( "break in for...of disposes the source", function( assert ) {
+    const log = [];
+    for (const item of Enumerable.from(disposableSource(log)).select(x=>x*2).where(x=>x>0)) {
+        if (item > 2) break;
+    }
+    assert.deepEqual( log,['disposed'], "Passed!" );
+});
+QUnit.test( "take, first, any and takeWhile dispose the source", function( assert ) {
+    const log = [];
+    Enumerable.from(disposableSource(log)).take(2).toArray();
+    Enumerable.from(disposableSource(log)).where(x=>x>1).first();
+    Enumerable.from(disposableSource(log)).any(x=>x==1);
+    Enumerable.from(disposableSource(log)).takeWhile(x=>x<2).toArray();
+    assert.deepEqual( log,['disposed','disposed','disposed','disposed'], "Passed!" );
+});
+QUnit.test( "sequenceEqual disposes both sources", function( assert ) {
+    const log = [];
+    const result = Enumerable.from(disposableSource(log)).sequenceEqual(Enumerable.from(disposableSource(log)).select(x=>x==1 ? 10 : x));
+    assert.deepEqual( result,false, "Passed!" );
+    assert.deepEqual( log,['disposed','disposed'], "Passed!" );
+});
+QUnit.test( "single and singleOrDefault dispose the source", function( assert ) {
+    const log = [];
+    assert.throws( ()=>Enumerable.from(disposableSource(log)).single(), "Passed!" );
+    assert.throws( ()=>Enumerable.from(disposableSource(log)).singleOrDefault(x=>x>2), "Passed!" );
+    assert.deepEqual( log,['disposed','disposed'], "Passed!" );
+});
+QUnit.test( "zip disposes the longer source", function( assert ) {
+    const log = [];
+    const result = Enumerable.from(disposableSource(log)).zip([1,2]).toArray();
+    assert.deepEqual( result,[[0,1],[1,2]], "Passed!" );
+    assert.deepEqual( log,['disposed'], "Passed!" );
+    Enumerable.from([1,2,3]).zip(disposableSource(log)).first();
+    assert.deepEqual( log,['disposed','disposed'], "Passed!" );
+});
+QUnit.test( "padStart disposes the source", function( assert ) {
+    const log = [];
+    Enumerable.from(disposableSource(log)).padStart(2, 0).first();
+    assert.deepEqual( log,['disposed'], "Passed!" );
+});
+QUnit.test( "Enumerable.using", function( assert ) {
+    const log = [];
+    const result = Enumerable.using(
+        ()=>({ items: [1,2,3], dispose() { log.push('disposed'); } }),
+        resource=>resource.items
+    );
+    assert.deepEqual( log,[], "Passed!" );
+    assert.deepEqual( result.toArray(),[1,2,3], "Passed!" );
+    assert.deepEqual( log,['disposed'], "Passed!" );
+    assert.deepEqual( result.first(),1, "Passed!" );
+    assert.deepEqual( log,['disposed','disposed'], "Passed!" );
+    assert.throws( ()=>result.select(x=>{ throw new Error('failed'); }).toArray(), "Passed!" );
+    assert.deepEqual( log,['disposed','disposed','disposed'], "Passed!" );
+});
+QUnit.test( "Enumerable.using with a disposer", function( assert ) {
+    const log = [];
+    const result = Enumerable.using(
+        ()=>({ name: 'cursor' }),
+        resource=>disposableSource(log, 3),
+        resource=>log.push('closed ' + resource.name)
+    ).take(1).toArray();
+    assert.deepEqual( result,[0], "Passed!" );
+    assert.deepEqual( log,['disposed','closed cursor'], "Passed!" );
+});
+
+// explain tests
+QUnit.module('explain tests');
+
+function operators(node) {
+    const result = [];
+    while (node) {
+        result.push(node.operator);
+        node = node.parent;
+    }
+    return result;
+}
+
+QUnit.test( "explain seek and count", function( assert ) {
+    const query = Enumerable.range(0,100).select(x=>x*2).where(x=>x%3==0);
+    const explanation = query.explain();
+    assert.deepEqual( operators(explanation),['where','select','range'], "Passed!" );
+    assert.deepEqual( explanation.canSeek,false, "Passed!" );
+    assert.deepEqual( explanation.count,'enumerates', "Passed!" );
+    assert.deepEqual( explanation.toArray,'growth', "Passed!" );
+    assert.deepEqual( explanation.parent.canSeek,true, "Passed!" );
+    assert.deepEqual( explanation.parent.count,'O(1)', "Passed!" );
+    assert.deepEqual( explanation.parent.toArray,'seek', "Passed!" );
+    assert.deepEqual( explanation.parent.parent.args,[0,100], "Passed!" );
+    assert.deepEqual( query._wasIterated,false, "Passed!" );
+});
+QUnit.test( "explain sources", function( assert ) {
+    let explanation = Enumerable.from([1,2,3]).skip(1).explain();
+    assert.deepEqual( explanation.args,[1], "Passed!" );
+    assert.deepEqual( explanation.count,'O(1)', "Passed!" );
+    assert.deepEqual( explanation.parent.operator,'from', "Passed!" );
+    assert.deepEqual( explanation.parent.source,'Array', "Passed!" );
+    explanation = Enumerable.from(function*(){ yield 1; }).skip(1).explain();
+    assert.deepEqual( explanation.count,'enumerates', "Passed!" );
+    assert.deepEqual( explanation.parent.source,'generator function', "Passed!" );
+    explanation = Enumerable.from(new Set([1,2])).explain();
+    assert.deepEqual( explanation.source,'Set', "Passed!" );
+    assert.deepEqual( explanation.count,'O(1)', "Passed!" );
+});
+QUnit.test( "explain inputs", function( assert ) {
+    const explanation = Enumerable.range(0,10).concat(function*(){ yield 1; }).explain();
+    assert.deepEqual( explanation.operator,'concat', "Passed!" );
+    assert.deepEqual( explanation.inputs.length,1, "Passed!" );
+    assert.deepEqual( explanation.inputs[0].source,'generator function', "Passed!" );
+    assert.deepEqual( explanation.count,'enumerates', "Passed!" );
+    assert.deepEqual( explanation.canSeek,false, "Passed!" );
+});
+QUnit.test( "explain quadratic fallbacks", function( assert ) {
+    assert.deepEqual( Enumerable.from([1,2]).distinct().explain().warnings,[], "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2]).distinct((i1,i2)=>i1===i2).explain().warnings.length,1, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2]).except([2],(i1,i2)=>i1===i2).explain().warnings.length,1, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2]).union([2],(i1,i2)=>i1===i2).explain().warnings.length,1, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2]).toHashSet({ equals: (i1,i2)=>i1===i2 }).explain().warnings.length,1, "Passed!" );
+    assert.deepEqual( Enumerable.from([1,2]).toHashSet({ hash: i=>i }).explain().warnings,[], "Passed!" );
+});
+QUnit.test( "explain ordered", function( assert ) {
+    const query = Enumerable.range(0,10).orderBy(x=>x%3).thenByDescending(x=>x).skip(2).take(3);
+    const explanation = query.explain();
+    assert.deepEqual( operators(explanation),['take','skip','thenByDescending','orderBy','range'], "Passed!" );
+    assert.deepEqual( explanation.args,[3], "Passed!" );
+    assert.deepEqual( explanation.count,'O(1)', "Passed!" );
+    assert.deepEqual( explanation.canSeek,false, "Passed!" );
+    assert.deepEqual( explanation.toArray,'sort', "Passed!" );
+    assert.deepEqual( query._wasIterated,false, "Passed!" );
+});
+QUnit.test( "explain extra", function( assert ) {
+    const explanation = Enumerable.range(0,10).lag(1).explain();
+    assert.deepEqual( explanation.operator,'lag', "Passed!" );
+    assert.deepEqual( explanation.canSeek,true, "Passed!" );
+    assert.deepEqual( explanation.count,'O(1)', "Passed!" );
+});
+
+
+// AsyncEnumerable tests
+QUnit.module('AsyncEnumerable tests');
+
+AsyncEnumerable = Linqer.AsyncEnumerable;
+
+QUnit.test( "AsyncEnumerable.from with async generator function", async function( assert ) {
+    const result = await AsyncEnumerable.from(async function*() {
+        yield 1;
+        yield 'a2';
+        yield 3;
+    }).toArray();
+    assert.deepEqual( result,[1,'a2',3], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.from with sync generator function", async function( assert ) {
+    const source = AsyncEnumerable.from(function*() {
+        yield 1;
+        yield 2;
+    });
+    assert.deepEqual( await source.toArray(),[1,2], "Passed!" );
+    assert.deepEqual( await source.select(async x=>x*10).toArray(),[10,20], "Passed!" );
+    const iterator = source[Symbol.asyncIterator]();
+    assert.deepEqual( await iterator.next(),{ value: 1, done: false }, "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.from with async iterable", async function( assert ) {
+    async function* gen() {
+        yield 1;
+        yield 2;
+    }
+    const result = await AsyncEnumerable.from(gen()).toArray();
+    assert.deepEqual( result,[1,2], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.from with array", async function( assert ) {
+    const result = await AsyncEnumerable.from([1,2,3]).toArray();
+    assert.deepEqual( result,[1,2,3], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.where select with async functions", async function( assert ) {
+    const result = await AsyncEnumerable.from([1,2,3,4])
+                    .where(async i=>i%2==0)
+                    .select(async (i,index)=>i*10+index)
+                    .toArray();
+    assert.deepEqual( result,[20,41], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.selectMany", async function( assert ) {
+    const result = await AsyncEnumerable.from([[1,2],[3]])
+                    .selectMany(async function*(arr) { for (const item of arr) yield item; })
+                    .toArray();
+    assert.deepEqual( result,[1,2,3], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.skip take", async function( assert ) {
+    const result = await AsyncEnumerable.from([1,2,3,4,5]).skip(1).take(3).toArray();
+    assert.deepEqual( result,[2,3,4], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.take short-circuits", async function( assert ) {
+    let pulled = 0;
+    let closed = false;
+    const source = AsyncEnumerable.from(async function*() {
+        try {
+            while (true) {
+                pulled++;
+                yield pulled;
+            }
+        } finally {
+            closed = true;
+        }
+    });
+    const result = await source.where(i=>i%2==1).take(2).toArray();
+    assert.deepEqual( result,[1,3], "Passed!" );
+    assert.deepEqual( pulled,3, "Passed!" );
+    assert.deepEqual( closed,true, "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.distinct", async function( assert ) {
+    const result = await AsyncEnumerable.from([1,2,2,3,'3']).distinct().toArray();
+    assert.deepEqual( result,[1,2,3,'3'], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.groupBy", async function( assert ) {
+    const result = await AsyncEnumerable.from([1,2,3,4,5])
+                    .groupBy(async i=>i%2)
+                    .select(g=>({ key: g.key, items: g.toArray() }))
+                    .toArray();
+    assert.deepEqual( result,[{ key: 1, items: [1,3,5] },{ key: 0, items: [2,4] }], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.orderBy thenByDescending", async function( assert ) {
+    const result = await AsyncEnumerable.from(['b1','a1','b2','a2'])
+                    .orderBy(async i=>i.charAt(0))
+                    .thenByDescending(i=>i.charAt(1))
+                    .toArray();
+    assert.deepEqual( result,['a2','a1','b2','b1'], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.orderBy key comparer", async function( assert ) {
+    const result = await AsyncEnumerable.from(['b','C','a','B'])
+                    .orderBy(async i=>i.toLowerCase(),(s1,s2)=>s2.localeCompare(s1))
+                    .thenBy(i=>i,(s1,s2)=>s1.localeCompare(s2))
+                    .toArray();
+    assert.deepEqual( result,['C','b','B','a'], "Passed!" );
+});
+QUnit.test( "AsyncEnumerable terminal operations", async function( assert ) {
+    const source = AsyncEnumerable.from([3,1,2]);
+    assert.deepEqual( await source.count(),3, "Passed!" );
+    assert.deepEqual( await source.first(),3, "Passed!" );
+    assert.deepEqual( await source.last(),2, "Passed!" );
+    assert.deepEqual( await source.elementAtOrDefault(5),undefined, "Passed!" );
+    assert.deepEqual( await source.any(),true, "Passed!" );
+    assert.deepEqual( await source.all(async i=>i>0),true, "Passed!" );
+    assert.deepEqual( await source.aggregate(0,(acc,i)=>acc+i),6, "Passed!" );
+    assert.deepEqual( (await source.toList()).count(),3, "Passed!" );
+});
+QUnit.test( "AsyncEnumerable.first empty", async function( assert ) {
+    await assert.rejects( AsyncEnumerable.empty().first(), /The enumeration is empty/, "Passed!" );
+});
@@ -54,6 +54,18 @@ QUnit.test( "OrderBy performance random", function( assert ) {
             break;
         }
     }
+
+    startTime = performance.now();
+    const result4 = Enumerable.from(largeArray1).orderBy(i=>size-i).useRadixSort().toArray();
+    endTime = performance.now();
+    assert.ok(true,'Order '+size+' items using radix sort took '+(endTime-startTime)+' milliseconds');
+
+    for (let i=0; i<size; i++) {
+        if (result1[i]!=result4[i]) {
+            assert.ok(false,'Arrays are not the same at index '+i+': '+result1[i]+' != '+result4[i]);
+            break;
+        }
+    }
 });
 
 QUnit.test( "OrderBy performance already ordered", function( assert ) {
@@ -154,6 +154,10 @@ QUnit.test("Enumerable.sum numbers with some strings", function (assert) {
     const result = Enumerable.from([1, 2, 3, 4, 5, '6']).sum();
     assert.deepEqual(result, Number.NaN, "Passed!");
 });
+QUnit.test("Enumerable.sum with selector and options", function (assert) {
+    const result = Enumerable.from([{ v: 1 }, { v: 2 }, { v: '3' }]).sum(i => i.v, { nonNumeric: 'skip' });
+    assert.deepEqual(result, 3, "Passed!");
+});
 
 QUnit.test("Enumerable.take", function (assert) {
     const result = Enumerable.from([1, 2, 3, 4, 5]).take(2).toArray();